@@ -0,0 +1,79 @@
+// Measures the cost of one match tick with and without the spatial grid.
+//
+// Run: node bench/tick-bench.js [mobs] [players] [ticks]
+//   defaults: 600 mobs, 10 players, 400 ticks
+//
+// Each run builds a fresh match world, tops it up to the requested mob count,
+// gives every player a random wandering input and times tickMatchWorld
+// (AI, movement, collision, projectiles and per-client snapshots).
+
+const game = require('../server');
+
+const MOB_COUNT = Number(process.argv[2]) || 600;
+const PLAYER_COUNT = Number(process.argv[3]) || 10;
+const TICKS = Number(process.argv[4]) || 400;
+const TICK_MS = 50;
+
+// Snapshots are only built for open sockets, so give players a sink socket.
+function fakeSocket() {
+  return { readyState: 1, binaryProtocol: false, send() {} };
+}
+
+function buildMatch(id, useSpatialGrid) {
+  const matchId = 'bench_' + id;
+  const matchPlayers = new Map();
+  for (let i = 0; i < PLAYER_COUNT; i++) {
+    const p = game.createPlayerRuntime(fakeSocket(), { id: `${matchId}_p${i}`, class: ['warrior', 'ranger', 'mage'][i % 3] });
+    const sp = game.mobSpawnPoints[i % game.mobSpawnPoints.length];
+    p.x = sp.x + 200; p.y = sp.y + 200;
+    matchPlayers.set(p.id, p);
+  }
+  const world = game.createMatchWorld(matchId, matchPlayers);
+  world.useSpatialGrid = useSpatialGrid;
+  const types = Object.keys(game.mobDefs).filter(t => !game.mobDefs[t].boss);
+  let n = 0;
+  while (world.mobs.size < MOB_COUNT) {
+    const sp = game.mobSpawnPoints[n % game.mobSpawnPoints.length];
+    game.spawnMobAt(world, sp, types[n % types.length]);
+    n++;
+  }
+  const match = {
+    id: matchId, mode: 'ffa', players: matchPlayers, world, state: 'in_game',
+    createdAt: Date.now(), startedAt: Date.now(), durationMs: 30 * 60 * 1000,
+    leaderboard: Array.from(matchPlayers.values()).map(p => ({ playerId: p.id, playerName: p.name, kills: 0 }))
+  };
+  game.matches.set(matchId, match);
+  return match;
+}
+
+function run(label, useSpatialGrid) {
+  const match = buildMatch(label, useSpatialGrid);
+  let now = Date.now();
+  // Warm up so the JIT has settled before timing.
+  for (let i = 0; i < 20; i++) { game.tickMatchWorld(match, now); now += TICK_MS; }
+  const samples = [];
+  for (let i = 0; i < TICKS; i++) {
+    if (i % 20 === 0) {
+      for (const p of match.players.values()) {
+        const a = Math.random() * Math.PI * 2;
+        p.lastInput = { x: Math.cos(a), y: Math.sin(a) };
+      }
+    }
+    const t0 = process.hrtime.bigint();
+    game.tickMatchWorld(match, now);
+    samples.push(Number(process.hrtime.bigint() - t0) / 1e6);
+    now += TICK_MS;
+  }
+  game.destroyMatchWorld(match);
+  game.matches.delete(match.id);
+  samples.sort((a, b) => a - b);
+  const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
+  const p95 = samples[Math.floor(samples.length * 0.95)];
+  console.log(`${label.padEnd(12)} avg ${avg.toFixed(3)} ms   p95 ${p95.toFixed(3)} ms   max ${samples[samples.length - 1].toFixed(3)} ms`);
+  return avg;
+}
+
+console.log(`tick bench: ${MOB_COUNT} mobs, ${PLAYER_COUNT} players, ${TICKS} ticks (budget ${TICK_MS} ms)`);
+const before = run('full scan', false);
+const after = run('spatial grid', true);
+console.log(`speedup: ${(before / after).toFixed(2)}x`);
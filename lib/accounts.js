@@ -0,0 +1,147 @@
+// Player accounts: profiles, progression and their storage backends.
+//
+// A profile is a plain object
+//   { id, token, name, createdAt, rating, ratedGames, preferredClass,
+//     stats: { kills, deaths, matchesPlayed, wins }, cosmetics: [] }
+// where `token` is the secret a client presents in 'join' to load it.
+// Storage goes through a store with four async methods — get(id),
+// getByToken(token), create(fields) and save(profile) — so backends can be
+// swapped without touching the server: createFileStore keeps everything in
+// one JSON file (local use), createMemoryStore keeps nothing across restarts.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_RATING } = require('./rating');
+
+// Cosmetics granted once a lifetime stat reaches `atLeast`.
+const COSMETIC_UNLOCKS = [
+  { id: 'badge_first_blood', stat: 'kills', atLeast: 1 },
+  { id: 'badge_veteran', stat: 'matchesPlayed', atLeast: 25 },
+  { id: 'trail_embers', stat: 'kills', atLeast: 100 },
+  { id: 'crown_bronze', stat: 'wins', atLeast: 1 },
+  { id: 'crown_silver', stat: 'wins', atLeast: 10 },
+  { id: 'crown_gold', stat: 'wins', atLeast: 50 }
+];
+
+function newProfile(id, fields = {}) {
+  return {
+    id,
+    token: crypto.randomBytes(24).toString('base64url'),
+    name: fields.name || ('Player' + id.slice(0, 4)),
+    createdAt: Date.now(),
+    rating: DEFAULT_RATING,
+    ratedGames: 0,
+    preferredClass: fields.preferredClass || null,
+    stats: { kills: 0, deaths: 0, matchesPlayed: 0, wins: 0 },
+    cosmetics: []
+  };
+}
+
+function createMemoryStore() {
+  const byId = new Map();
+  return {
+    async get(id) { return byId.get(id) || null; },
+    async getByToken(token) {
+      for (const p of byId.values()) if (p.token === token) return p;
+      return null;
+    },
+    async create(fields) {
+      const profile = newProfile(crypto.randomBytes(8).toString('hex'), fields);
+      byId.set(profile.id, profile);
+      return profile;
+    },
+    async save(profile) { byId.set(profile.id, profile); }
+  };
+}
+
+// All profiles live in memory and are written back to `file` after every
+// change (to a temp file first, then renamed, so a crash never leaves half a
+// file). Writes are chained so they never overlap.
+function createFileStore(file) {
+  let byId = null;
+  let writing = Promise.resolve();
+
+  async function loaded() {
+    if (byId) return byId;
+    byId = new Map();
+    try {
+      const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      for (const p of data.accounts || []) byId.set(p.id, p);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    return byId;
+  }
+
+  function persist() {
+    writing = writing.then(async () => {
+      const tmp = file + '.tmp';
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify({ accounts: Array.from(byId.values()) }));
+      await fs.promises.rename(tmp, file);
+    }).catch(err => console.error('Failed to write account store:', err));
+    return writing;
+  }
+
+  return {
+    async get(id) { return (await loaded()).get(id) || null; },
+    async getByToken(token) {
+      for (const p of (await loaded()).values()) if (p.token === token) return p;
+      return null;
+    },
+    async create(fields) {
+      const profile = newProfile(crypto.randomBytes(8).toString('hex'), fields);
+      (await loaded()).set(profile.id, profile);
+      await persist();
+      return profile;
+    },
+    async save(profile) {
+      (await loaded()).set(profile.id, profile);
+      await persist();
+    }
+  };
+}
+
+// Folds one finished match into the profile. `result` is
+// { kills, deaths, won, rating, ratedGames }. Returns the ids of cosmetics
+// unlocked by it.
+function recordMatch(profile, result) {
+  const s = profile.stats;
+  s.kills += result.kills || 0;
+  s.deaths += result.deaths || 0;
+  s.matchesPlayed++;
+  if (result.won) s.wins++;
+  if (typeof result.rating === 'number') {
+    profile.rating = result.rating;
+    profile.ratedGames = result.ratedGames;
+  }
+  const unlocked = [];
+  for (const u of COSMETIC_UNLOCKS) {
+    if (s[u.stat] >= u.atLeast && !profile.cosmetics.includes(u.id)) {
+      profile.cosmetics.push(u.id);
+      unlocked.push(u.id);
+    }
+  }
+  return unlocked;
+}
+
+// Profile as sent to its owner (everything but the token).
+function profileView(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    rating: profile.rating,
+    preferredClass: profile.preferredClass,
+    stats: profile.stats,
+    cosmetics: profile.cosmetics
+  };
+}
+
+module.exports = {
+  COSMETIC_UNLOCKS,
+  createMemoryStore,
+  createFileStore,
+  recordMatch,
+  profileView
+};
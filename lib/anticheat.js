@@ -0,0 +1,48 @@
+// Violation scoring for the server's anti-cheat checks.
+//
+// Each offense adds its weight to a per-player score that bleeds off by one
+// point every VIOLATION_DECAY_MS, so the odd false positive (a burst of
+// inputs after a lag spike) fades away while sustained cheating adds up. The
+// first time the score reaches VIOLATION_WARN_AT the player is warned (again
+// only once it has bled back to zero); at VIOLATION_KICK_AT they are kicked.
+
+const VIOLATION_WARN_AT = 5;
+const VIOLATION_KICK_AT = 10;
+const VIOLATION_DECAY_MS = 10000;
+
+// Offenses an honest client cannot commit weigh the most.
+const VIOLATION_WEIGHTS = {
+  class_mismatch: 5,      // cast with a class other than the player's own
+  target_out_of_view: 3,  // targeted a unit the client was never sent
+  input_flood: 1,         // far more input messages in one tick than any client sends
+  input_invalid: 1        // non-finite or out-of-range movement vector (movement
+                          // itself is computed by the server, so this is the
+                          // impossible-movement check)
+};
+
+function createViolationState() {
+  return { score: 0, updatedAt: 0, warned: false, counts: {} };
+}
+
+// Records one offense of `kind`. Returns { score, action } where action is
+// 'warn', 'kick' or null.
+function recordViolation(state, kind, now) {
+  if (state.updatedAt) state.score = Math.max(0, state.score - (now - state.updatedAt) / VIOLATION_DECAY_MS);
+  if (state.score === 0) state.warned = false;
+  state.updatedAt = now;
+  state.score += VIOLATION_WEIGHTS[kind] || 1;
+  state.counts[kind] = (state.counts[kind] || 0) + 1;
+
+  let action = null;
+  if (state.score >= VIOLATION_KICK_AT) action = 'kick';
+  else if (state.score >= VIOLATION_WARN_AT && !state.warned) { state.warned = true; action = 'warn'; }
+  return { score: Math.round(state.score * 10) / 10, action };
+}
+
+module.exports = {
+  VIOLATION_WARN_AT,
+  VIOLATION_KICK_AT,
+  VIOLATION_WEIGHTS,
+  createViolationState,
+  recordViolation
+};
@@ -0,0 +1,58 @@
+// Signed session tokens and display-name rules.
+//
+// A session token is `<payload>.<signature>`: the payload is base64url JSON
+// ({ sub, name, guest, iat, exp }, sub being the account id or null for a
+// guest) and the signature its HMAC-SHA256 under the server secret, also
+// base64url. Tokens cannot be revoked; keep their lifetime short.
+
+const crypto = require('crypto');
+
+const DISPLAY_NAME_MAX = 24;
+// Names nobody may take, compared case-insensitively.
+const RESERVED_NAMES = ['admin', 'administrator', 'moderator', 'mod', 'server', 'system', 'moborr'];
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// `claims` is { sub, name, guest }. Returns { token, expiresAt }.
+function signToken(claims, secret, ttlMs, now = Date.now()) {
+  const payload = Object.assign({}, claims, { iat: now, exp: now + ttlMs });
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: data + '.' + sign(data, secret), expiresAt: payload.exp };
+}
+
+// Returns { claims } for a valid token, else { reason } — 'malformed',
+// 'bad_signature' or 'expired'.
+function verifyToken(token, secret, now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { reason: 'malformed' };
+  const expected = Buffer.from(sign(parts[0], secret));
+  const given = Buffer.from(parts[1]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return { reason: 'bad_signature' };
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (e) {
+    return { reason: 'malformed' };
+  }
+  if (!claims || typeof claims.exp !== 'number') return { reason: 'malformed' };
+  if (claims.exp <= now) return { reason: 'expired' };
+  return { claims };
+}
+
+// Trims and collapses whitespace, drops control characters and caps the
+// length. Returns null when nothing usable is left or the name is reserved.
+function cleanDisplayName(name) {
+  if (typeof name !== 'string') return null;
+  const clean = name.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim().slice(0, DISPLAY_NAME_MAX).trim();
+  if (!clean || RESERVED_NAMES.includes(clean.toLowerCase())) return null;
+  return clean;
+}
+
+module.exports = {
+  DISPLAY_NAME_MAX,
+  signToken,
+  verifyToken,
+  cleanDisplayName
+};
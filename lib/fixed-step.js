@@ -0,0 +1,57 @@
+// Fixed-timestep driver for the simulation.
+//
+// Every `stepMs` of clock time step() runs exactly once. Time is measured with
+// the injected clock and accumulated, so a late timer or a slow tick is made
+// up by running the missed steps back to back (at most maxCatchUp per wake-up;
+// a longer stall drops the rest and reports how many via onDrop).
+
+function createFixedStepLoop({ stepMs, step, clock = Date.now, maxCatchUp = 5, onDrop = null }) {
+  let last = 0;
+  let acc = 0;
+  let timer = null;
+
+  // Runs every step that is due by clock() and returns how many ran.
+  function runDue() {
+    const t = clock();
+    acc += t - last;
+    last = t;
+    let ran = 0;
+    while (acc >= stepMs && ran < maxCatchUp) {
+      // Counted before it runs, so a step that throws is not retried.
+      acc -= stepMs;
+      ran++;
+      step();
+    }
+    if (acc >= stepMs) {
+      if (onDrop) onDrop(Math.floor(acc / stepMs));
+      acc %= stepMs;
+    }
+    return ran;
+  }
+
+  // A throwing step still propagates, but the loop keeps running.
+  function wake() {
+    try {
+      runDue();
+    } finally {
+      timer = setTimeout(wake, Math.max(0, stepMs - acc));
+    }
+  }
+
+  return {
+    runDue,
+    start() {
+      last = clock();
+      acc = 0;
+      timer = setTimeout(wake, stepMs);
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  createFixedStepLoop
+};
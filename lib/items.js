@@ -0,0 +1,147 @@
+// Item catalog, rarities, loot tables and inventory helpers.
+//
+// The server owns every item instance: items are rolled here (catalog entry +
+// rarity + concrete stats) and given a uid, and clients only ever refer to
+// them by that uid. An instance is a plain object
+//   { uid, itemId, name, slot, rarity, stats }
+// that lives in player.inventory; equipped items are the same objects placed
+// in player.equipment[EQUIP_SLOTS.indexOf(item.slot)].
+
+const EQUIP_SLOTS = ['weapon', 'head', 'chest', 'boots', 'trinket']; // index = equipment slot
+const INVENTORY_SIZE = 24;
+
+// In ascending order; statMul scales the positive stats of a rolled item.
+const RARITIES = {
+  common:   { weight: 60, statMul: 1 },
+  uncommon: { weight: 28, statMul: 1.25 },
+  rare:     { weight: 10, statMul: 1.6 },
+  epic:     { weight: 2,  statMul: 2.2 }
+};
+const RARITY_ORDER = Object.keys(RARITIES);
+
+// stats: [min, max] rolled uniformly, using the keys applyEquipmentBonusesForPlayer
+// understands (maxHp, baseDamage, baseSpeed, damageMul, buffDurationMul).
+// minRarity: the lowest rarity the item can roll at.
+const ITEM_CATALOG = {
+  rusty_sword:   { name: 'Rusty Sword', slot: 'weapon', stats: { baseDamage: [2, 5] } },
+  iron_sword:    { name: 'Iron Sword', slot: 'weapon', stats: { baseDamage: [5, 9] } },
+  war_axe:       { name: 'War Axe', slot: 'weapon', stats: { baseDamage: [8, 14], baseSpeed: [-20, -10] } },
+  leather_cap:   { name: 'Leather Cap', slot: 'head', stats: { maxHp: [10, 25] } },
+  iron_helm:     { name: 'Iron Helm', slot: 'head', stats: { maxHp: [25, 50] } },
+  warlord_crown: { name: "Warlord's Crown", slot: 'head', minRarity: 'rare', stats: { maxHp: [60, 90], damageMul: [0.05, 0.1] } },
+  padded_vest:   { name: 'Padded Vest', slot: 'chest', stats: { maxHp: [20, 40] } },
+  golem_plate:   { name: 'Golem Plate', slot: 'chest', stats: { maxHp: [60, 110], baseSpeed: [-30, -15] } },
+  swift_boots:   { name: 'Swift Boots', slot: 'boots', stats: { baseSpeed: [15, 35] } },
+  wolf_fang:     { name: 'Wolf Fang', slot: 'trinket', stats: { damageMul: [0.03, 0.08] } },
+  sage_charm:    { name: 'Sage Charm', slot: 'trinket', stats: { buffDurationMul: [0.05, 0.15] } }
+};
+
+// Referenced by mobDefs[type].loot. Each of `rolls` drops one item with
+// probability `chance`, picked from `items` by weight; rarityBoost shifts the
+// rarity roll toward the rarer end.
+const LOOT_TABLES = {
+  goblin:  { rolls: 1, chance: 0.12, items: { rusty_sword: 3, leather_cap: 3, padded_vest: 2, swift_boots: 1 } },
+  wolf:    { rolls: 1, chance: 0.18, items: { wolf_fang: 2, swift_boots: 2, leather_cap: 1, iron_sword: 1 } },
+  golem:   { rolls: 1, chance: 0.3, rarityBoost: 0.5, items: { golem_plate: 2, iron_helm: 2, war_axe: 1, sage_charm: 1 } },
+  warlord: { rolls: 3, chance: 1, rarityBoost: 2, items: { warlord_crown: 1, war_axe: 2, golem_plate: 2, wolf_fang: 2, sage_charm: 2 } }
+};
+
+let nextItemUid = 1;
+
+function pickWeighted(weights, rng) {
+  let total = 0;
+  for (const k in weights) total += weights[k];
+  let r = rng() * total;
+  for (const k in weights) {
+    r -= weights[k];
+    if (r < 0) return k;
+  }
+  return Object.keys(weights).pop();
+}
+
+function rollRarity(rarityBoost = 0, minRarity = 'common', rng = Math.random) {
+  const weights = {};
+  RARITY_ORDER.forEach((name, i) => {
+    if (i < RARITY_ORDER.indexOf(minRarity)) return;
+    weights[name] = RARITIES[name].weight * Math.pow(1 + rarityBoost, i);
+  });
+  return pickWeighted(weights, rng);
+}
+
+// A new instance of catalog item `itemId`, or null if there is no such item.
+function createItem(itemId, rarity, rng = Math.random) {
+  const def = ITEM_CATALOG[itemId];
+  if (!def) return null;
+  if (!RARITIES[rarity]) rarity = rollRarity(0, def.minRarity, rng);
+  const mul = RARITIES[rarity].statMul;
+  const stats = {};
+  for (const key in def.stats) {
+    const [min, max] = def.stats[key];
+    let v = min + rng() * (max - min);
+    if (v > 0) v *= mul;
+    // Multipliers keep two decimals, flat stats are whole numbers.
+    stats[key] = Math.abs(max) < 1 ? Math.round(v * 100) / 100 : Math.round(v);
+  }
+  return { uid: 'item_' + (nextItemUid++), itemId, name: def.name, slot: def.slot, rarity, stats };
+}
+
+// Items dropped by one kill on loot table `tableName` (possibly none).
+function rollLoot(tableName, rng = Math.random) {
+  const table = LOOT_TABLES[tableName];
+  if (!table) return [];
+  const drops = [];
+  for (let i = 0; i < (table.rolls || 1); i++) {
+    if (rng() >= table.chance) continue;
+    const itemId = pickWeighted(table.items, rng);
+    const item = createItem(itemId, rollRarity(table.rarityBoost || 0, ITEM_CATALOG[itemId].minRarity, rng), rng);
+    if (item) drops.push(item);
+  }
+  return drops;
+}
+
+function findOwnedItem(player, uid) {
+  return (player.inventory || []).find(it => it.uid === uid) || null;
+}
+
+// Returns false when the inventory is full.
+function addToInventory(player, item) {
+  player.inventory = player.inventory || [];
+  if (player.inventory.length >= INVENTORY_SIZE) return false;
+  player.inventory.push(item);
+  return true;
+}
+
+// Equips an owned item into its slot. Returns { slot } or { reason }.
+function equipOwnedItem(player, uid) {
+  const item = findOwnedItem(player, uid);
+  if (!item) return { reason: 'not_owned' };
+  const slot = EQUIP_SLOTS.indexOf(item.slot);
+  if (slot < 0) return { reason: 'not_equippable' };
+  player.equipment = player.equipment || new Array(EQUIP_SLOTS.length).fill(null);
+  player.equipment[slot] = item;
+  return { slot };
+}
+
+// Inventory and equipment as sent to the owning client.
+function inventoryView(player) {
+  return {
+    items: player.inventory || [],
+    equipment: (player.equipment || []).map(it => (it ? it.uid : null)),
+    capacity: INVENTORY_SIZE
+  };
+}
+
+module.exports = {
+  EQUIP_SLOTS,
+  INVENTORY_SIZE,
+  RARITIES,
+  ITEM_CATALOG,
+  LOOT_TABLES,
+  rollRarity,
+  createItem,
+  rollLoot,
+  findOwnedItem,
+  addToInventory,
+  equipOwnedItem,
+  inventoryView
+};
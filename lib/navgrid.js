@@ -0,0 +1,217 @@
+// Navigation grid + A* path search for mob AI.
+//
+// The grid is baked once from the static walls: every cell whose centre is
+// blocked (inside a wall or closer than the clearance to one, as decided by
+// the caller's isBlocked callback) is marked solid. Paths are searched on the
+// 8-connected grid without corner cutting, string-pulled with line-of-sight
+// checks so mobs walk straight segments, and cached per (start cell, goal
+// cell) pair since the walls never change.
+
+const SQRT2 = Math.SQRT2;
+
+function bakeNavGrid({ half, cellSize, isBlocked, cacheSize = 512, maxExpanded = 6000 }) {
+  const cols = Math.ceil((half * 2) / cellSize);
+  const blocked = new Uint8Array(cols * cols);
+  for (let row = 0; row < cols; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x = -half + (col + 0.5) * cellSize;
+      const y = -half + (row + 0.5) * cellSize;
+      if (isBlocked(x, y)) blocked[row * cols + col] = 1;
+    }
+  }
+  return { half, cellSize, cols, blocked, cache: new Map(), cacheSize, maxExpanded, searches: 0, cacheHits: 0 };
+}
+
+function cellIndexAt(nav, x, y) {
+  const col = Math.max(0, Math.min(nav.cols - 1, Math.floor((x + nav.half) / nav.cellSize)));
+  const row = Math.max(0, Math.min(nav.cols - 1, Math.floor((y + nav.half) / nav.cellSize)));
+  return row * nav.cols + col;
+}
+
+function cellCenter(nav, idx) {
+  const col = idx % nav.cols, row = Math.floor(idx / nav.cols);
+  return { x: -nav.half + (col + 0.5) * nav.cellSize, y: -nav.half + (row + 0.5) * nav.cellSize };
+}
+
+function isCellOpen(nav, idx) {
+  return idx >= 0 && idx < nav.blocked.length && nav.blocked[idx] === 0;
+}
+
+// Closest open cell to `idx` by ring search, or -1 if none within maxRing.
+function nearestOpenCell(nav, idx, maxRing = 6) {
+  if (isCellOpen(nav, idx)) return idx;
+  const col0 = idx % nav.cols, row0 = Math.floor(idx / nav.cols);
+  for (let ring = 1; ring <= maxRing; ring++) {
+    let best = -1, bestD = Infinity;
+    for (let dr = -ring; dr <= ring; dr++) {
+      for (let dc = -ring; dc <= ring; dc++) {
+        if (Math.max(Math.abs(dr), Math.abs(dc)) !== ring) continue;
+        const col = col0 + dc, row = row0 + dr;
+        if (col < 0 || row < 0 || col >= nav.cols || row >= nav.cols) continue;
+        const i = row * nav.cols + col;
+        const d = dr * dr + dc * dc;
+        if (nav.blocked[i] === 0 && d < bestD) { best = i; bestD = d; }
+      }
+    }
+    if (best >= 0) return best;
+  }
+  return -1;
+}
+
+// True when the straight line between two points only crosses open cells.
+function navLineClear(nav, ax, ay, bx, by) {
+  const dist = Math.hypot(bx - ax, by - ay);
+  const steps = Math.max(1, Math.ceil(dist / (nav.cellSize * 0.5)));
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    if (!isCellOpen(nav, cellIndexAt(nav, ax + (bx - ax) * t, ay + (by - ay) * t))) return false;
+  }
+  return true;
+}
+
+// --- Binary min-heap keyed by f score ---
+function heapPush(heap, fScore, idx) {
+  heap.push(idx);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (fScore[heap[parent]] <= fScore[heap[i]]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap, fScore) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = i * 2 + 1, r = l + 1;
+      let smallest = i;
+      if (l < heap.length && fScore[heap[l]] < fScore[heap[smallest]]) smallest = l;
+      if (r < heap.length && fScore[heap[r]] < fScore[heap[smallest]]) smallest = r;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+function octile(nav, a, b) {
+  const dx = Math.abs((a % nav.cols) - (b % nav.cols));
+  const dy = Math.abs(Math.floor(a / nav.cols) - Math.floor(b / nav.cols));
+  return (dx + dy) + (SQRT2 - 2) * Math.min(dx, dy);
+}
+
+// Search buffers are allocated once per grid and invalidated by bumping a
+// generation stamp instead of being cleared, so a search costs no allocation
+// proportional to the map size.
+function searchBuffers(nav) {
+  if (!nav.buffers) {
+    const n = nav.blocked.length;
+    nav.buffers = { gScore: new Float64Array(n), fScore: new Float64Array(n), cameFrom: new Int32Array(n), seen: new Uint32Array(n), closed: new Uint32Array(n), gen: 0 };
+  }
+  const b = nav.buffers;
+  b.gen++;
+  return b;
+}
+
+function astar(nav, start, goal) {
+  const { gScore, fScore, cameFrom, seen, closed, gen } = searchBuffers(nav);
+  const heap = [];
+  seen[start] = gen;
+  gScore[start] = 0;
+  cameFrom[start] = -1;
+  fScore[start] = octile(nav, start, goal);
+  heapPush(heap, fScore, start);
+  let expanded = 0;
+  while (heap.length) {
+    const cur = heapPop(heap, fScore);
+    if (cur === goal) {
+      const cells = [];
+      for (let c = goal; c !== -1; c = cameFrom[c]) cells.push(c);
+      return cells.reverse();
+    }
+    if (closed[cur] === gen) continue;
+    closed[cur] = gen;
+    if (++expanded > nav.maxExpanded) return null;
+    const col = cur % nav.cols, row = Math.floor(cur / nav.cols);
+    for (const [dc, dr, cost] of NEIGHBOURS) {
+      const nc = col + dc, nr = row + dr;
+      if (nc < 0 || nr < 0 || nc >= nav.cols || nr >= nav.cols) continue;
+      const next = nr * nav.cols + nc;
+      if (nav.blocked[next] || closed[next] === gen) continue;
+      // No cutting corners past a solid cell.
+      if (dc !== 0 && dr !== 0 && (nav.blocked[row * nav.cols + nc] || nav.blocked[nr * nav.cols + col])) continue;
+      const g = gScore[cur] + cost;
+      if (seen[next] === gen && g >= gScore[next]) continue;
+      seen[next] = gen;
+      cameFrom[next] = cur;
+      gScore[next] = g;
+      fScore[next] = g + octile(nav, next, goal);
+      heapPush(heap, fScore, next);
+    }
+  }
+  return null;
+}
+
+// Drops every waypoint that the previous kept waypoint can see past.
+function smoothPath(nav, points) {
+  if (points.length <= 2) return points;
+  const out = [points[0]];
+  let anchor = 0;
+  for (let i = 2; i < points.length; i++) {
+    if (!navLineClear(nav, points[anchor].x, points[anchor].y, points[i].x, points[i].y)) {
+      anchor = i - 1;
+      out.push(points[anchor]);
+    }
+  }
+  out.push(points[points.length - 1]);
+  return out;
+}
+
+// Waypoints (excluding the start position) from (sx, sy) to (gx, gy), or null
+// when no path exists within the search budget. Results are cached per cell
+// pair; the final waypoint is replaced with the exact goal when it is open.
+function findPath(nav, sx, sy, gx, gy) {
+  const start = nearestOpenCell(nav, cellIndexAt(nav, sx, sy));
+  const goal = nearestOpenCell(nav, cellIndexAt(nav, gx, gy));
+  if (start < 0 || goal < 0) return null;
+  const key = start * nav.blocked.length + goal;
+  let waypoints = nav.cache.get(key);
+  if (waypoints !== undefined) {
+    nav.cacheHits++;
+    // Refresh LRU position.
+    nav.cache.delete(key);
+    nav.cache.set(key, waypoints);
+  } else {
+    nav.searches++;
+    const raw = astar(nav, start, goal);
+    waypoints = raw ? smoothPath(nav, raw.map(c => cellCenter(nav, c))) : null;
+    nav.cache.set(key, waypoints);
+    if (nav.cache.size > nav.cacheSize) nav.cache.delete(nav.cache.keys().next().value);
+  }
+  if (!waypoints) return null;
+  const path = waypoints.slice(1);
+  if (isCellOpen(nav, cellIndexAt(nav, gx, gy))) {
+    if (path.length) path[path.length - 1] = { x: gx, y: gy };
+    else path.push({ x: gx, y: gy });
+  }
+  return path;
+}
+
+module.exports = {
+  bakeNavGrid,
+  cellIndexAt,
+  isCellOpen,
+  navLineClear,
+  findPath
+};
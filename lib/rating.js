@@ -0,0 +1,80 @@
+// Elo ratings and rating-based matchmaking groups.
+//
+// A match is rated as every pair of opponents playing one Elo game against
+// each other: the better final score wins the pair, equal scores draw, and
+// teammates are never paired. Each player's K is split across their
+// opponents, so a 10-player free-for-all moves ratings about as much as a
+// single duel.
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+const PROVISIONAL_GAMES = 10; // K is doubled until a player has this many rated games
+
+// How far apart (in rating) a queued player accepts opponents: starts at
+// WINDOW_BASE and widens by WINDOW_GROWTH_PER_SEC while they wait.
+const WINDOW_BASE = 100;
+const WINDOW_GROWTH_PER_SEC = 10;
+const WINDOW_MAX = 800;
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// entries: [{ id, rating, games, score, team }] where a higher score is a
+// better result and team is null outside team modes. Returns a Map of
+// id -> rounded rating delta.
+function rateMatch(entries) {
+  const deltas = new Map();
+  for (const a of entries) {
+    const opponents = entries.filter(b => b !== a && (a.team == null || a.team !== b.team));
+    let delta = 0;
+    if (opponents.length) {
+      const k = K_FACTOR * ((a.games || 0) < PROVISIONAL_GAMES ? 2 : 1) / opponents.length;
+      for (const b of opponents) {
+        const actual = a.score > b.score ? 1 : a.score < b.score ? 0 : 0.5;
+        delta += k * (actual - expectedScore(a.rating, b.rating));
+      }
+    }
+    deltas.set(a.id, Math.round(delta));
+  }
+  return deltas;
+}
+
+function searchWindow(queuedAt, now) {
+  const waitedSec = Math.max(0, now - queuedAt) / 1000;
+  return Math.min(WINDOW_MAX, WINDOW_BASE + WINDOW_GROWTH_PER_SEC * waitedSec);
+}
+
+// Splits queued units ({ rating, queuedAt, size }, size defaulting to 1 — a
+// party is one unit) into groups totalling at most `cap` players whose ratings
+// all lie within the search window of the group's longest waiting member,
+// scanning from the lowest rating up. Groups of fewer than `min` players are
+// dropped; their units keep waiting with a wider window.
+function groupByRating(queued, { cap, min, now }) {
+  const sorted = [...queued].sort((a, b) => a.rating - b.rating);
+  const groups = [];
+  let group = [];
+  let players = 0;
+  let window = 0;
+  const flush = () => { if (players >= min) groups.push(group); group = []; players = 0; window = 0; };
+  for (const unit of sorted) {
+    const size = unit.size || 1;
+    if (group.length) {
+      const w = Math.max(window, searchWindow(unit.queuedAt, now));
+      if (players + size > cap || unit.rating - group[0].rating > w) flush();
+    }
+    group.push(unit);
+    players += size;
+    window = Math.max(window, searchWindow(unit.queuedAt, now));
+  }
+  flush();
+  return groups;
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  expectedScore,
+  rateMatch,
+  searchWindow,
+  groupByRating
+};
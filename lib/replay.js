@@ -0,0 +1,198 @@
+// Match replays: recording to disk, listing, loading and timed playback.
+//
+// A replay is a gzipped file of newline-separated JSON records, each tagged
+// with its kind in `k`:
+//   header  once, first: match id, mode, seed, start time, map, players
+//   input   a player's movement vector changed; applies from `tick` on
+//   cast    a cast resolved at `tick` (the client's message fields), and
+//           `rewindTick`, the tick its hits were checked against (lag
+//           compensation, from the caster's RTT at the time)
+//   equip   an equip resolved at `tick` (slot, itemUid)
+//   pickup  a pickup of ground item `groundItemId` resolved at `tick`
+//   buy     a shop purchase of `stockId` resolved at `tick`
+//   frame   world state at `tick`; `full` frames carry every entity, the
+//           others only what changed since the previous frame plus `removed`
+//   end     once, last: why and when the match ended, final leaderboard
+// Next to `<id>.replay.gz` sits `<id>.json`, a small summary used for listing.
+// While a match is still being recorded the file is named `.part`.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const util = require('util');
+
+const REPLAY_VERSION = 1;
+const REPLAY_SPEED_MIN = 0.5;
+const REPLAY_SPEED_MAX = 4;
+
+const gunzip = util.promisify(zlib.gunzip);
+
+// Replay ids end up in file names and URLs, so only plain ones are accepted.
+function validReplayId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{1,80}$/.test(id);
+}
+
+function replayFile(dir, id) {
+  return validReplayId(id) ? path.join(dir, id + '.replay.gz') : null;
+}
+
+function clampSpeed(speed) {
+  const s = Number(speed);
+  if (!Number.isFinite(s)) return 1;
+  return Math.max(REPLAY_SPEED_MIN, Math.min(REPLAY_SPEED_MAX, s));
+}
+
+// Starts writing replay `id` into `dir`. Returns { write(record), close(end) };
+// close resolves with the summary once the file is complete. A write error is
+// logged once and the rest of the replay is dropped; it never affects the match.
+function createReplayWriter(dir, id, header) {
+  const file = replayFile(dir, id);
+  if (!file) throw new Error('invalid replay id: ' + id);
+  fs.mkdirSync(dir, { recursive: true });
+  const part = file + '.part';
+  const gz = zlib.createGzip();
+  const out = fs.createWriteStream(part);
+  let failed = null;
+  const fail = (err) => {
+    if (failed) return;
+    failed = err;
+    console.error('Failed to write replay', id, err);
+  };
+  gz.on('error', fail);
+  out.on('error', fail);
+  gz.pipe(out);
+  gz.write(JSON.stringify(Object.assign({ k: 'header', v: REPLAY_VERSION, id }, header)) + '\n');
+
+  return {
+    write(record) {
+      if (!failed) gz.write(JSON.stringify(record) + '\n');
+    },
+    close(end) {
+      return new Promise((resolve, reject) => {
+        if (failed) { reject(failed); return; }
+        out.on('close', async () => {
+          if (failed) { reject(failed); return; }
+          try {
+            await fs.promises.rename(part, file);
+            const { size } = await fs.promises.stat(file);
+            const summary = {
+              id,
+              matchId: header.matchId,
+              mode: header.mode,
+              startedAt: header.startedAt,
+              endedAt: end.time,
+              durationMs: end.time - header.startedAt,
+              reason: end.reason,
+              players: header.players.map(p => ({ id: p.id, name: p.name, class: p.class })),
+              size
+            };
+            await fs.promises.writeFile(path.join(dir, id + '.json'), JSON.stringify(summary));
+            resolve(summary);
+          } catch (err) {
+            reject(err);
+          }
+        });
+        gz.end(JSON.stringify(Object.assign({ k: 'end' }, end)) + '\n');
+      });
+    }
+  };
+}
+
+// Summaries of every finished replay in `dir`, newest first.
+async function listReplays(dir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const list = [];
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      list.push(JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8')));
+    } catch (e) {
+      console.error('Skipping unreadable replay summary', name, e.message);
+    }
+  }
+  return list.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// Loads a whole replay. Resolves { header, records, end } (end is null for a
+// replay cut short), or null when there is no such replay.
+async function loadReplay(dir, id) {
+  const file = replayFile(dir, id);
+  if (!file) return null;
+  let raw;
+  try {
+    raw = await fs.promises.readFile(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  const lines = (await gunzip(raw)).toString('utf8').split('\n');
+  const records = [];
+  let header = null, end = null;
+  for (const line of lines) {
+    if (!line) continue;
+    const rec = JSON.parse(line);
+    if (rec.k === 'header') header = rec;
+    else if (rec.k === 'end') end = rec;
+    else records.push(rec);
+  }
+  if (!header || header.v !== REPLAY_VERSION) throw new Error('unsupported replay ' + id);
+  return { header, records, end };
+}
+
+// Plays `replay.records` back in replay time: onRecord(record) is called for
+// each one as its tick comes due at `speed` times real time, then onEnd().
+// Playback starts at the last full frame at or before `fromTick`. Returns
+// { setSpeed, stop }; setSpeed clamps to REPLAY_SPEED_MIN..MAX and returns
+// the speed used.
+function createPlayback(replay, { tickMs, speed = 1, fromTick = 0, onRecord, onEnd, clock = Date.now }) {
+  const records = replay.records;
+  let idx = 0;
+  for (let i = 0; i < records.length && records[i].tick <= fromTick; i++) {
+    if (records[i].k === 'frame' && records[i].full) idx = i;
+  }
+  let tick = records.length ? records[idx].tick : 0;
+  let rate = clampSpeed(speed);
+  let last = clock();
+  let timer = null;
+
+  function wake() {
+    const now = clock();
+    tick += (now - last) / tickMs * rate;
+    last = now;
+    while (idx < records.length && records[idx].tick <= tick) onRecord(records[idx++]);
+    if (idx >= records.length) {
+      timer = null;
+      onEnd();
+      return;
+    }
+    timer = setTimeout(wake, tickMs);
+  }
+
+  timer = setTimeout(wake, 0);
+  return {
+    setSpeed(s) {
+      rate = clampSpeed(s);
+      return rate;
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  REPLAY_SPEED_MIN,
+  REPLAY_SPEED_MAX,
+  replayFile,
+  createReplayWriter,
+  listReplays,
+  loadReplay,
+  createPlayback
+};
@@ -0,0 +1,38 @@
+// Recent entity positions, kept per tick for lag compensation.
+//
+// The buffer holds the last `size` frames; a frame maps entity id -> [x, y]
+// as of the end of that tick.
+
+function createRewindBuffer(size) {
+  return { size, frames: [] }; // oldest first: { tick, pos: Map(id -> [x, y]) }
+}
+
+// Records where every entity in each of `groups` (iterables of { id, x, y })
+// is at `tick`, dropping the oldest frame once the buffer is full.
+function recordFrame(buf, tick, ...groups) {
+  const pos = new Map();
+  for (const ents of groups) {
+    for (const e of ents) pos.set(e.id, [e.x, e.y]);
+  }
+  buf.frames.push({ tick, pos });
+  if (buf.frames.length > buf.size) buf.frames.shift();
+}
+
+// Position of `id` at `tick`, falling back to the oldest frame kept when
+// `tick` is older than that. Returns null when the entity was not recorded.
+function positionAt(buf, id, tick) {
+  const frames = buf.frames;
+  for (let i = frames.length - 1; i >= 0; i--) {
+    if (frames[i].tick <= tick || i === 0) {
+      const xy = frames[i].pos.get(id);
+      return xy ? { x: xy[0], y: xy[1] } : null;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  createRewindBuffer,
+  recordFrame,
+  positionAt
+};
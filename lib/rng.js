@@ -0,0 +1,26 @@
+// Seeded pseudo-random numbers for the simulation.
+//
+// createRng(seed) returns a function with the same contract as Math.random
+// (a float in [0, 1)), so it can be passed anywhere that takes an `rng`
+// (see lib/items.js). The generator is mulberry32: tiny, fast and plenty for
+// gameplay, but not for anything security related.
+
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+module.exports = {
+  createRng,
+  randomSeed
+};
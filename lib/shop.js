@@ -0,0 +1,72 @@
+// In-match shop: stock, prices and purchase rules.
+//
+// Consumables take effect at once (heal a fraction of maxHp, or push a timed
+// entry onto player.buffs exactly like a 'buff' skill does); equipment is
+// rolled from the item catalog at the listed rarity and goes into the
+// inventory. All checks happen here so the server only relays the result.
+
+const items = require('./items');
+
+// kind 'consumable': effect.heal is a fraction of maxHp, effect.buff a buff
+//   like SKILL_DEFS' ({ type, multiplier, durationMs }).
+// kind 'equipment': itemId/rarity of the catalog item sold.
+const SHOP_STOCK = {
+  health_potion: { kind: 'consumable', name: 'Health Potion', price: 40, effect: { heal: 0.5 } },
+  speed_tonic:   { kind: 'consumable', name: 'Speed Tonic', price: 60, effect: { buff: { type: 'speed', multiplier: 1.25, durationMs: 20000 } } },
+  rage_draught:  { kind: 'consumable', name: 'Rage Draught', price: 90, effect: { buff: { type: 'damage', multiplier: 1.2, durationMs: 20000 } } },
+  iron_sword:    { kind: 'equipment', itemId: 'iron_sword', rarity: 'common', price: 150 },
+  iron_helm:     { kind: 'equipment', itemId: 'iron_helm', rarity: 'common', price: 140 },
+  padded_vest:   { kind: 'equipment', itemId: 'padded_vest', rarity: 'uncommon', price: 160 },
+  swift_boots:   { kind: 'equipment', itemId: 'swift_boots', rarity: 'uncommon', price: 220 }
+};
+
+// Stock as sent in 'shop_list'.
+function shopListing() {
+  return Object.keys(SHOP_STOCK).map(id => {
+    const s = SHOP_STOCK[id];
+    const entry = { id, kind: s.kind, price: s.price };
+    if (s.kind === 'equipment') {
+      const def = items.ITEM_CATALOG[s.itemId];
+      Object.assign(entry, { name: def.name, itemId: s.itemId, slot: def.slot, rarity: s.rarity, statRanges: def.stats });
+    } else {
+      Object.assign(entry, { name: s.name, effect: s.effect });
+    }
+    return entry;
+  });
+}
+
+// Validates and applies a purchase. Returns { reason } on rejection, else
+// { stock, item?, heal?, buff? } describing what the player received.
+function buyFromShop(player, stockId, now, rng = Math.random) {
+  // stockId comes from the client; 'constructor' and friends are not stock.
+  if (!Object.prototype.hasOwnProperty.call(SHOP_STOCK, stockId)) return { reason: 'unknown_item' };
+  const stock = SHOP_STOCK[stockId];
+  if (player.hp <= 0) return { reason: 'dead' };
+  if ((player.gold || 0) < stock.price) return { reason: 'not_enough_gold' };
+
+  const result = { stock };
+  if (stock.kind === 'equipment') {
+    if ((player.inventory || []).length >= items.INVENTORY_SIZE) return { reason: 'inventory_full' };
+    result.item = items.createItem(stock.itemId, stock.rarity, rng);
+    items.addToInventory(player, result.item);
+  } else if (stock.effect.heal) {
+    if (player.hp >= player.maxHp) return { reason: 'full_hp' };
+    const prev = player.hp;
+    player.hp = Math.min(player.maxHp, player.hp + player.maxHp * stock.effect.heal);
+    result.heal = Math.round(player.hp - prev);
+  } else if (stock.effect.buff) {
+    const b = stock.effect.buff;
+    const durationMs = Math.round(b.durationMs * (player.buffDurationMul || 1.0));
+    player.buffs = player.buffs || [];
+    player.buffs.push({ type: b.type, until: now + durationMs, multiplier: b.multiplier });
+    result.buff = { type: b.type, multiplier: b.multiplier, durationMs };
+  }
+  player.gold -= stock.price;
+  return result;
+}
+
+module.exports = {
+  SHOP_STOCK,
+  shopListing,
+  buyFromShop
+};
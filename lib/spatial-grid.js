@@ -0,0 +1,81 @@
+// Uniform spatial hash grid for circle-shaped entities ({ x, y, radius }).
+//
+// The grid is rebuilt from scratch whenever the caller wants fresh positions
+// (gridClear + gridInsert for every entity); cell arrays are reused between
+// rebuilds so a tick does not allocate per entity. Queries return candidates
+// from every cell the search circle touches, widened by the largest radius
+// inserted, so callers keep their exact distance checks and get the same
+// results as a full scan.
+
+function createSpatialGrid(cellSize) {
+  return { cellSize, cells: new Map(), used: [], maxRadius: 0, size: 0 };
+}
+
+function cellKey(cx, cy) {
+  // Cell coordinates stay well inside ±2^15 for any sane map/cell size.
+  return ((cx + 32768) << 16) | (cy + 32768);
+}
+
+function gridClear(grid) {
+  for (const bucket of grid.used) bucket.length = 0;
+  grid.used.length = 0;
+  grid.maxRadius = 0;
+  grid.size = 0;
+}
+
+function gridInsert(grid, ent) {
+  const cx = Math.floor(ent.x / grid.cellSize);
+  const cy = Math.floor(ent.y / grid.cellSize);
+  const key = cellKey(cx, cy);
+  let bucket = grid.cells.get(key);
+  if (!bucket) { bucket = []; grid.cells.set(key, bucket); }
+  if (bucket.length === 0) grid.used.push(bucket);
+  bucket.push(ent);
+  if ((ent.radius || 0) > grid.maxRadius) grid.maxRadius = ent.radius || 0;
+  grid.size++;
+}
+
+function gridRebuild(grid, entities) {
+  gridClear(grid);
+  for (const ent of entities) gridInsert(grid, ent);
+}
+
+// Candidates whose circle may lie within `r` of (x, y). Pass `out` to reuse an array.
+function gridQueryRadius(grid, x, y, r, out) {
+  const result = out || [];
+  result.length = 0;
+  if (grid.size === 0) return result;
+  const reach = r + grid.maxRadius;
+  const minX = Math.floor((x - reach) / grid.cellSize), maxX = Math.floor((x + reach) / grid.cellSize);
+  const minY = Math.floor((y - reach) / grid.cellSize), maxY = Math.floor((y + reach) / grid.cellSize);
+  for (let cx = minX; cx <= maxX; cx++) {
+    for (let cy = minY; cy <= maxY; cy++) {
+      const bucket = grid.cells.get(cellKey(cx, cy));
+      if (!bucket) continue;
+      for (let i = 0; i < bucket.length; i++) result.push(bucket[i]);
+    }
+  }
+  return result;
+}
+
+// Nearest of `candidates` (any iterable, e.g. a gridQueryRadius result) by
+// centre distance that passes `accept(ent, dist)`. Returns { ent, dist } or null.
+function nearestOf(candidates, x, y, accept) {
+  let best = null, bestD = Infinity;
+  for (const ent of candidates) {
+    const d = Math.hypot(ent.x - x, ent.y - y);
+    if (d >= bestD) continue;
+    if (accept && !accept(ent, d)) continue;
+    best = ent; bestD = d;
+  }
+  return best ? { ent: best, dist: bestD } : null;
+}
+
+module.exports = {
+  createSpatialGrid,
+  gridClear,
+  gridInsert,
+  gridRebuild,
+  gridQueryRadius,
+  nearestOf
+};
@@ -6,11 +6,41 @@
 // Run: node server.js
 // Environment:
 //  - PORT (optional)
+//  - MOBORR_DATA_DIR (optional) where accounts.json is kept, default ./data
+//  - MOBORR_ACCOUNT_STORE (optional) 'memory' keeps accounts only until restart
+//  - MOBORR_AUTH_SECRET (recommended) HMAC key for session tokens; a random
+//    one is used when unset, so tokens do not survive a restart
+//  - MOBORR_SESSION_TTL_MS (optional) session token lifetime, default 6 hours
+//  - MOBORR_RECORD_REPLAYS (optional) '1' records every match to
+//    <data dir>/replays (see lib/replay.js)
 
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const WebSocket = require('ws');
+const protocol = require('./shared/protocol');
+const { createSpatialGrid, gridRebuild, gridQueryRadius, nearestOf } = require('./lib/spatial-grid');
+const { bakeNavGrid, cellIndexAt, isCellOpen, findPath } = require('./lib/navgrid');
+const { createRewindBuffer, recordFrame, positionAt } = require('./lib/rewind');
+const { createRng, randomSeed } = require('./lib/rng');
+const { createFixedStepLoop } = require('./lib/fixed-step');
+const items = require('./lib/items');
+const shop = require('./lib/shop');
+const rating = require('./lib/rating');
+const anticheat = require('./lib/anticheat');
+const accounts = require('./lib/accounts');
+const auth = require('./lib/auth');
+const replays = require('./lib/replay');
 
 const PORT = process.env.PORT || 8080;
+const DATA_DIR = process.env.MOBORR_DATA_DIR || path.join(__dirname, 'data');
+const AUTH_SECRET = process.env.MOBORR_AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MS = Number(process.env.MOBORR_SESSION_TTL_MS) || 6 * 60 * 60 * 1000;
+const RECORD_REPLAYS = process.env.MOBORR_RECORD_REPLAYS === '1';
+const REPLAY_DIR = path.join(DATA_DIR, 'replays');
+const REPLAY_FRAME_TICKS = 5;      // a frame every 250 ms of match time
+const REPLAY_KEYFRAME_EVERY = 20;  // every 20th frame is full, the rest are deltas
 
 // --- World / tick ---
 const MAP_HALF = 9000;
@@ -18,10 +48,33 @@ const MAP_SIZE = MAP_HALF * 2;
 const MAP_TYPE = 'square';
 const TICK_RATE = 20;
 const TICK_DT = 1 / TICK_RATE;
+const TICK_MS = 1000 / TICK_RATE;
+const MAX_CATCHUP_TICKS = 5; // missed ticks run back to back after a stall, up to this many
+const ACTION_QUEUE_MAX = 8;  // casts, equips, pickups and purchases a player may have waiting for the next tick
+
+// --- Snapshots / interest management ---
+const VIEW_RADIUS = 2600; // entities further than this from a player are not sent to them
+const SNAPSHOT_HISTORY = 40; // unacked snapshots kept per client (~2s at TICK_RATE)
+const MAX_SPECTATORS_PER_MATCH = 16;
+
+// --- Lag compensation ---
+const MAX_REWIND_MS = 300; // melee/targeted casts look back at most this far
+const REWIND_TICKS = Math.ceil(MAX_REWIND_MS * TICK_RATE / 1000);
+const RTT_SMOOTHING = 0.25; // weight of each new sample in the RTT average
+const RTT_PROBE_INTERVAL_MS = 2000; // how often in-match players are pinged to measure RTT
+const REWIND_MAX_STEP = 50; // furthest a fully buffed unit moves in one tick
 
 const CHAT_MAX_PER_WINDOW = 2;
 const CHAT_WINDOW_MS = 1000;
 
+// --- Anti-cheat ---
+const INPUT_MAX_PER_TICK = 8;     // later inputs in the same tick are dropped
+const INPUT_FLOOD_PER_TICK = 20;  // reaching this many in one tick is a violation
+const TARGET_RANGE_DEFAULT = 900; // reach of targeted skills without their own `range`
+
+// MOBORR_SPATIAL_GRID=0 falls back to full entity scans (for benchmarking).
+const USE_SPATIAL_GRID = process.env.MOBORR_SPATIAL_GRID !== '0';
+
 const WALL_THICKNESS = 672;
 const SPAWN_MARGIN = 450;
 
@@ -31,27 +84,87 @@ const MATCH_DURATION_MS = 50000; // 30 minutes
 const MIN_PLAYERS_TO_START = 4; // minimum players needed to start match
 const MAX_PLAYERS_PER_MATCH = 10;
 
+// Queueable modes; join_queue rejects anything else.
+//   teams: number of teams (0 = free-for-all); teamSize caps each team
+//   friendlyFire: whether teammates can damage each other
+//   randomSpawn: spawn teamless players anywhere instead of bottomLeftSpawn()
+//   permadeath: dead players stay dead instead of respawning
+//   ambientMobs: false starts the world without the usual mob camps and bosses
+//   objective: an OBJECTIVES kind that adds its own win condition
+//   rated: false leaves ratings untouched (co-op modes)
+const MATCH_MODES = {
+  ffa:        { teams: 0, maxPlayers: MAX_PLAYERS_PER_MATCH, randomSpawn: true },
+  '2v2v2':    { teams: 3, teamSize: 2, maxPlayers: 6, friendlyFire: false },
+  '5v5':      { teams: 2, teamSize: 5, maxPlayers: 10, friendlyFire: false },
+  koth:       { teams: 0, maxPlayers: MAX_PLAYERS_PER_MATCH, randomSpawn: true, objective: 'koth' },
+  koth_5v5:   { teams: 2, teamSize: 5, maxPlayers: 10, friendlyFire: false, objective: 'koth' },
+  royale:     { teams: 0, maxPlayers: MAX_PLAYERS_PER_MATCH, randomSpawn: true, permadeath: true, objective: 'royale' },
+  survival:   { teams: 1, teamSize: MAX_PLAYERS_PER_MATCH, maxPlayers: MAX_PLAYERS_PER_MATCH, friendlyFire: false, ambientMobs: false, objective: 'waves', rated: false }
+};
+// Team n spawns around corner TEAM_DEFS[n].corner (in units of the spawn inset).
+const TEAM_DEFS = [
+  { name: 'Red', color: '#e74c3c', corner: [-1, 1] },
+  { name: 'Blue', color: '#3498db', corner: [1, -1] },
+  { name: 'Green', color: '#2ecc71', corner: [1, 1] }
+];
+
 // --- Global state ---
 let nextPlayerId = 1;
 const players = new Map(); // all connected players: id -> playerRuntime
 
+// Mob, projectile and ground item ids are global so they stay unique across match worlds;
+// the entities themselves live in each match's world (see createMatchWorld).
 let nextMobId = 1;
-const mobs = new Map();
-
-const projectiles = new Map();
 let nextProjId = 1;
+let nextGroundItemId = 1;
 
 // --- MATCHMAKING STATE ---
 const queues = new Map(); // mode -> { players: [], createdAt, countdownStartedAt, matchId }
-const matches = new Map(); // matchId -> { id, mode, players: Map(id -> player), state, createdAt, countdownStartedAt, startedAt }
+const matches = new Map(); // matchId -> { id, mode, players: Map(id -> player), world, state, createdAt, countdownStartedAt, startedAt }
 const playerToMatch = new Map(); // playerId -> matchId (tracks which match a player is in)
 const playerToQueue = new Map(); // playerId -> mode (tracks which queue a player is in)
+const parties = new Map(); // partyId -> { id, leaderId, memberIds: [], invited: Set(playerId) }
+const playerToParty = new Map(); // playerId -> partyId
+const lobbies = new Map(); // code -> { code, hostId, playerIds: [], rules, matchId }
+const playerToLobby = new Map(); // playerId -> lobby code
+const resumeTokens = new Map(); // resume token -> playerId
+const replayViewers = new Set(); // ids of players watching a replay
+const spectatorToMatch = new Map(); // playerId -> matchId they are spectating
+const accountStore = process.env.MOBORR_ACCOUNT_STORE === 'memory'
+  ? accounts.createMemoryStore()
+  : accounts.createFileStore(path.join(DATA_DIR, 'accounts.json'));
 
 let nextMatchId = 1;
+let nextPartyId = 1;
+const PARTY_MAX_SIZE = 5;
+const LOBBY_CODE_LENGTH = 6;
+const LOBBY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const LOBBY_DURATION_RANGE_MS = [30000, 30 * 60 * 1000];
+const LOBBY_MOB_DENSITY_RANGE = [0, 2];
 
 // --- Map helpers (grid & polygon generation) ---
 const CELL = MAP_SIZE / 12;
 const GAP = Math.floor(Math.max(24, CELL * 0.05));
+const SPATIAL_CELL = CELL / 4; // a quarter maze cell keeps aggro/melee queries to a few buckets
+
+// --- Mob navigation ---
+const NAV_CELL = CELL / 10;
+const NAV_CLEARANCE = 50; // >= the largest mob radius, so paths never hug a wall
+const MOB_REPLAN_MS = 600; // minimum time between path searches for one mob
+const MAX_PATH_SEARCHES_PER_TICK = 12; // per world; mobs over budget keep their old path
+const MOB_LEASH_RADIUS = 1800; // how far from home a mob will chase before giving up
+const MOB_CHASE_RADIUS_MUL = 2; // a locked target is dropped beyond aggroRadius * this
+const MOB_HOME_RADIUS = 120; // a mob in 'return' state counts as home within this distance
+const MOB_WAYPOINT_RADIUS = 24; // small, so mobs do not cut the corner a waypoint goes around
+
+// --- Ground items ---
+const PICKUP_RADIUS = 120; // from the player's edge to the item's centre
+const GROUND_ITEM_TTL_MS = 60000;
+const LOOT_OWNER_MS = 10000; // only the killer can pick a drop up for this long
+
+// --- Shop ---
+const SHOP_REQUIRE_ZONE = true; // false lets players buy from anywhere in the match
+const SHOP_ZONE_RADIUS = CELL * 0.75; // around bottomLeftSpawn()
 
 function gridToWorldCenter(col, row) {
   const x = -MAP_HALF + (col - 0.5) * CELL;
@@ -156,12 +269,56 @@ try {
 }
 
 // --- Mob defs & spawn points ---
+// `behavior` and `abilities` drive the mob state machine (see "Mob behaviour"):
+//   behavior.idle: what the mob does without a target — 'idle', 'wander' or 'patrol'
+//   behavior.wanderRadius / patrolRadius: how far from home it roams
+//   behavior.fleeBelowHpPct / fleeMs: run from its target once, when hp drops below the fraction
+//   abilities[]: { id, kind, minRange, maxRange, cooldownMs, ... } — kind picks a MOB_ABILITY_KINDS handler
+//   loot: name of the items.LOOT_TABLES entry rolled when the mob dies
+// Bosses (boss: true) are only spawned by BOSS_SCHEDULE and never respawn:
+//   phases[]: entered in order once hp drops below belowHpPct; each may
+//             override speed, atk and abilities
+//   shareLoot: gold/XP are split between all damage contributors (any mob may set it)
 const mobDefs = {
-  goblin: { name: 'Goblin', maxHp: 120, atk: 14, speed: 140, xp: 12, goldMin: 6, goldMax: 14, respawn: 12, radius: 40 },
-  wolf:   { name: 'Wolf',   maxHp: 180, atk: 20, speed: 170, xp: 20, goldMin: 12, goldMax: 20, respawn: 18, radius: 40 },
-  golem:  { name: 'Golem',  maxHp: 420, atk: 34, speed: 60,  xp: 60, goldMin: 20, goldMax: 40, respawn: 25, radius: 46 }
+  goblin: { name: 'Goblin', maxHp: 120, atk: 14, speed: 140, xp: 12, goldMin: 6, goldMax: 14, respawn: 12, radius: 40, loot: 'goblin',
+    behavior: { idle: 'wander', wanderRadius: 320, fleeBelowHpPct: 0.25, fleeMs: 3500 },
+    abilities: [] },
+  wolf:   { name: 'Wolf',   maxHp: 180, atk: 20, speed: 170, xp: 20, goldMin: 12, goldMax: 20, respawn: 18, radius: 40, loot: 'wolf',
+    behavior: { idle: 'patrol', patrolRadius: 400 },
+    abilities: [
+      { id: 'pounce', kind: 'leap', minRange: 160, maxRange: 420, cooldownMs: 6000, windupMs: 450, leapMs: 350, leapSpeed: 1100, damage: 28 }
+    ] },
+  golem:  { name: 'Golem',  maxHp: 420, atk: 34, speed: 60,  xp: 60, goldMin: 20, goldMax: 40, respawn: 25, radius: 46, loot: 'golem',
+    behavior: { idle: 'idle' },
+    abilities: [
+      { id: 'ground_slam', kind: 'aoe_telegraph', minRange: 0, maxRange: 220, cooldownMs: 9000, telegraphMs: 1200, radius: 280, damage: 70, stunMs: 900 }
+    ] },
+  warlord: { name: 'Goblin Warlord', maxHp: 6000, atk: 40, speed: 100, xp: 900, goldMin: 400, goldMax: 600, respawn: 10, radius: 80,
+    boss: true, shareLoot: true, aggroRadius: 1000, loot: 'warlord',
+    behavior: { idle: 'idle' },
+    abilities: [
+      { id: 'cleave', kind: 'aoe_telegraph', minRange: 0, maxRange: 220, cooldownMs: 6000, telegraphMs: 1000, radius: 260, damage: 80 }
+    ],
+    phases: [
+      { belowHpPct: 0.6, name: 'enraged', speed: 150, atk: 55, abilities: [
+        { id: 'cleave', kind: 'aoe_telegraph', minRange: 0, maxRange: 220, cooldownMs: 4000, telegraphMs: 800, radius: 280, damage: 90 },
+        { id: 'charge', kind: 'leap', minRange: 250, maxRange: 700, cooldownMs: 7000, windupMs: 600, leapMs: 500, leapSpeed: 1300, damage: 70 }
+      ] },
+      { belowHpPct: 0.3, name: 'warband', abilities: [
+        { id: 'cleave', kind: 'aoe_telegraph', minRange: 0, maxRange: 220, cooldownMs: 4000, telegraphMs: 800, radius: 280, damage: 90, stunMs: 700 },
+        { id: 'charge', kind: 'leap', minRange: 250, maxRange: 700, cooldownMs: 7000, windupMs: 600, leapMs: 500, leapSpeed: 1300, damage: 70 },
+        { id: 'call_warband', kind: 'summon', minRange: 0, maxRange: 900, cooldownMs: 15000, mobType: 'goblin', count: 4 }
+      ] }
+    ] }
 };
 
+// Boss encounters every match runs: the boss spawns `atPct` of the match
+// duration in, at mobSpawnPoints[spawnAt] (or a random one), and the whole
+// match is warned warnMs beforehand.
+const BOSS_SCHEDULE = [
+  { type: 'warlord', atPct: 0.4, spawnAt: 'random', warnMs: 10000 }
+];
+
 const purpleGridCoords = [
   [-3, 10], [3, 10], [8, 6], [5, 2], [1, -1], [4, -4], [-2, -5], [-6, -3], [-7, 1], [-6, 5], [-1, 4]
 ];
@@ -174,8 +331,31 @@ for (const [sx, sy] of purpleGridCoords) {
   mobSpawnPoints.push({ x: wx, y: wy, types: ['goblin', 'wolf', 'golem'] });
 }
 
-function pointInsideWall(x, y, margin = 6) {
-  for (const w of walls) {
+function distanceToWallEdges(x, y, wallList = walls) {
+  let best = Infinity;
+  for (const w of wallList) {
+    const poly = wallPolygon(w);
+    for (let i = 0; i < poly.length; i++) {
+      const a = poly[i], b = poly[(i + 1) % poly.length];
+      const vx = b.x - a.x, vy = b.y - a.y;
+      const dv = vx*vx + vy*vy;
+      const t = dv > 0 ? Math.max(0, Math.min(1, ((x - a.x) * vx + (y - a.y) * vy) / dv)) : 0;
+      const d = Math.hypot(x - (a.x + vx * t), y - (a.y + vy * t));
+      if (d < best) best = d;
+    }
+  }
+  return best;
+}
+
+// Baked once: the maze is the same in every match world.
+const navGrid = bakeNavGrid({
+  half: MAP_HALF,
+  cellSize: NAV_CELL,
+  isBlocked: (x, y) => pointInsideWall(x, y, NAV_CLEARANCE) || distanceToWallEdges(x, y) < NAV_CLEARANCE
+});
+
+function pointInsideWall(x, y, margin = 6, wallList = walls) {
+  for (const w of wallList) {
     if (w.points && Array.isArray(w.points)) {
       let inside = false;
       const poly = w.points;
@@ -193,40 +373,124 @@ function pointInsideWall(x, y, margin = 6) {
   return false;
 }
 
-function spawnMobAt(sp, typeName) {
+function spawnMobAt(world, sp, typeName) {
   const def = mobDefs[typeName];
-  if (!def) return null;
+  if (!def || !world) return null;
   const jitter = 120 * 3;
   const maxAttempts = 12;
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const x = sp.x + (Math.random() * jitter * 2 - jitter);
-    const y = sp.y + (Math.random() * jitter * 2 - jitter);
+    const x = sp.x + (world.rng() * jitter * 2 - jitter);
+    const y = sp.y + (world.rng() * jitter * 2 - jitter);
     const limit = MAP_HALF - (def.radius || 18) - 12;
     if (x < -limit || x > limit || y < -limit || y > limit) continue;
-    if (pointInsideWall(x, y, 8)) continue;
-    const id = 'mob_' + (nextMobId++);
-    const m = { id, type: typeName, x, y, vx:0, vy:0, hp:def.maxHp, maxHp:def.maxHp, radius:def.radius, aggroRadius:650, damageContrib: {}, spawnPoint: sp, def, respawnAt: null, dead: false, stunnedUntil: 0 };
-    mobs.set(id, m);
-    return m;
+    if (pointInsideWall(x, y, 8, world.walls)) continue;
+    return addMobToWorld(world, sp, typeName, x, y);
   }
   let fallbackX = sp.x, fallbackY = sp.y;
   let step = 0;
-  while (pointInsideWall(fallbackX, fallbackY, 8) && step < 8) {
+  while (pointInsideWall(fallbackX, fallbackY, 8, world.walls) && step < 8) {
     fallbackX += (step % 2 === 0 ? 1 : -1) * (def.radius + 20) * (step + 1);
     fallbackY += (step % 3 === 0 ? -1 : 1) * (def.radius + 20) * (step + 1);
     step++;
   }
+  return addMobToWorld(world, sp, typeName, fallbackX, fallbackY);
+}
+
+// (homeX, homeY) is where the mob leashes back to; path* fields belong to the
+// path follower in steerMobToward; state/ability* to updateMobBehavior.
+// speed/atk/abilities start from the def and are overridden by boss phases.
+function addMobToWorld(world, sp, typeName, x, y) {
+  const def = mobDefs[typeName];
   const id = 'mob_' + (nextMobId++);
-  const m = { id, type: typeName, x: fallbackX, y: fallbackY, vx:0, vy:0, hp:def.maxHp, maxHp:def.maxHp, radius:def.radius, aggroRadius:650, damageContrib: {}, spawnPoint: sp, def, respawnAt: null, dead: false, stunnedUntil: 0 };
-  mobs.set(id, m);
+  const m = {
+    id, matchId: world.matchId, type: typeName, x, y, vx:0, vy:0, hp:def.maxHp, maxHp:def.maxHp, radius:def.radius, aggroRadius: def.aggroRadius || 650,
+    speed: def.speed, atk: def.atk, abilities: def.abilities || [], phase: 0,
+    damageContrib: {}, spawnPoint: sp, def, respawnAt: null, dead: false, stunnedUntil: 0,
+    homeX: x, homeY: y, targetId: null,
+    path: null, pathIndex: 0, pathGoalCell: -1, nextReplanAt: 0,
+    state: (def.behavior && def.behavior.idle) || 'idle', stateSince: world.time, ability: null, abilityReadyAt: {}, hasFled: false
+  };
+  world.mobs.set(id, m);
   return m;
 }
 
-// Spawn initial mobs
-for (const sp of mobSpawnPoints) {
-  for (let i = 0; i < 5; i++) spawnMobAt(sp, 'goblin');
-  for (let i = 0; i < 2; i++) spawnMobAt(sp, 'golem');
-  for (let i = 0; i < 3; i++) spawnMobAt(sp, 'wolf');
+// --- Match worlds ---
+// Each match owns its own world instance: mobs (with their respawn timers),
+// projectiles, ground items and walls. AI, collision and damage only ever look at the
+// world of the match being ticked, so concurrent matches never interact.
+// opts.ambientMobs: false skips the mob camps and scheduled bosses;
+// opts.mobDensity scales how many mobs each camp starts with (0 also drops
+// the bosses).
+function createMatchWorld(matchId, matchPlayers, opts = {}) {
+  const ambientMobs = opts.ambientMobs !== false;
+  const density = opts.mobDensity != null ? opts.mobDensity : 1;
+  const seed = opts.seed != null ? opts.seed >>> 0 : randomSeed();
+  const world = {
+    matchId,
+    seed,
+    rng: createRng(seed),
+    time: opts.time != null ? opts.time : nowMs(),
+    players: matchPlayers || new Map(),
+    mobs: new Map(),
+    projectiles: new Map(),
+    groundItems: new Map(),
+    walls,
+    nav: navGrid,
+    pathBudget: 0,
+    mobGrid: createSpatialGrid(SPATIAL_CELL),
+    playerGrid: createSpatialGrid(SPATIAL_CELL),
+    useSpatialGrid: USE_SPATIAL_GRID,
+    tick: 0,
+    nextHealAt: 0,
+    rewind: createRewindBuffer(REWIND_TICKS + 1),
+    bossSchedule: ambientMobs && density > 0 ? BOSS_SCHEDULE.map(e => Object.assign({ announced: false, spawned: false, point: null }, e)) : [],
+    createdAt: nowMs()
+  };
+  if (!ambientMobs) return world;
+  for (const sp of mobSpawnPoints) {
+    for (let i = 0; i < Math.round(5 * density); i++) spawnMobAt(world, sp, 'goblin');
+    for (let i = 0; i < Math.round(2 * density); i++) spawnMobAt(world, sp, 'golem');
+    for (let i = 0; i < Math.round(3 * density); i++) spawnMobAt(world, sp, 'wolf');
+  }
+  return world;
+}
+
+function destroyMatchWorld(match) {
+  if (!match || !match.world) return;
+  match.world.mobs.clear();
+  match.world.projectiles.clear();
+  match.world.groundItems.clear();
+  match.world = null;
+}
+
+// --- Spatial queries ---
+// Mob and player grids are rebuilt at fixed points of each tick (see
+// tickMatchWorld); between ticks they reflect end-of-tick positions, which is
+// what cast handling sees too. The *Near helpers return candidates only —
+// callers still do their exact range checks. With useSpatialGrid off they fall
+// back to full scans (used by bench/tick-bench.js for comparison).
+function refreshMobGrid(world) {
+  if (world.useSpatialGrid) gridRebuild(world.mobGrid, world.mobs.values());
+}
+
+function refreshPlayerGrid(world) {
+  if (world.useSpatialGrid) gridRebuild(world.playerGrid, world.players.values());
+}
+
+function mobsNear(world, x, y, r) {
+  return world.useSpatialGrid ? gridQueryRadius(world.mobGrid, x, y, r) : world.mobs.values();
+}
+
+function playersNear(world, x, y, r) {
+  return world.useSpatialGrid ? gridQueryRadius(world.playerGrid, x, y, r) : world.players.values();
+}
+
+function nearestMob(world, x, y, r, accept) {
+  return nearestOf(mobsNear(world, x, y, r), x, y, accept);
+}
+
+function nearestPlayer(world, x, y, r, accept) {
+  return nearestOf(playersNear(world, x, y, r), x, y, accept);
 }
 
 // --- Skills / cooldowns ---
@@ -238,16 +502,16 @@ const SKILL_DEFS = {
     { kind: 'buff', damage: 0, radius: 0, ttl: 0, type: 'rage', buff: { type: 'damage', multiplier: 1.15, durationMs: 10000 } }
   ],
   ranger: [
-    { kind: 'proj_target', damage: 40, speed: 680, radius: 6, ttlMs: 3000, type: 'arrow' },
+    { kind: 'proj_target', damage: 40, speed: 680, radius: 6, ttlMs: 3000, range: 1200, type: 'arrow' },
     { kind: 'proj_burst', damage: 20, speed: 720, radius: 5, ttlMs: 2500, type: 'rapid', count: 5, spreadDeg: 12 },
-    { kind: 'proj_target_stun', damage: 12, speed: 380, radius: 8, ttlMs: 1600, type: 'trap', stunMs: 3000 },
-    { kind: 'proj_target', damage: 120, radius: 7, speed: 880, ttlMs: 3500, type: 'snipe' }
+    { kind: 'proj_target_stun', damage: 12, speed: 380, radius: 8, ttlMs: 1600, range: 600, type: 'trap', stunMs: 3000 },
+    { kind: 'proj_target', damage: 120, radius: 7, speed: 880, ttlMs: 3500, range: 1800, type: 'snipe' }
   ],
   mage: [
-    { kind: 'proj_target', damage: 45, speed: 420, radius: 10, ttlMs: 3000, type: 'spark' },
-    { kind: 'proj_target', damage: 135, speed: 360, radius: 10, ttlMs: 3000, type: 'fireball' },
-    { kind: 'proj_target_stun', damage: 60, speed: 0, radius: 0, ttlMs: 0, type: 'frostnova', stunMs: 3000 },
-    { kind: 'proj_aoe_spread', damage: 45, speed: 520, radius: 12, ttlMs: 3200, type: 'arcane', count: 6, spreadDeg: 45 }
+    { kind: 'proj_target', damage: 45, speed: 420, radius: 10, ttlMs: 3000, range: 1000, type: 'spark' },
+    { kind: 'proj_target', damage: 135, speed: 360, radius: 10, ttlMs: 3000, range: 1000, type: 'fireball' },
+    { kind: 'proj_target_stun', damage: 60, speed: 0, radius: 0, ttlMs: 0, range: 700, type: 'frostnova', stunMs: 3000 },
+    { kind: 'proj_aoe_spread', damage: 45, speed: 520, radius: 12, ttlMs: 3200, type: 'arcane', count: 6, spreadDeg: 45, bounces: 1 }
   ]
 };
 const CLASS_COOLDOWNS_MS = {
@@ -258,7 +522,7 @@ const CLASS_COOLDOWNS_MS = {
 
 // --- Utilities ---
 function nowMs() { return Date.now(); }
-function randRange(min, max) { return Math.random() * (max - min) + min; }
+function randRange(min, max, rng = Math.random) { return rng() * (max - min) + min; }
 
 function bottomLeftSpawn() {
   const x = -MAP_HALF + CELL * 1.5;
@@ -266,14 +530,37 @@ function bottomLeftSpawn() {
   return { x, y };
 }
 
-function randomMapSpawn() {
+function shopZone() {
+  const c = bottomLeftSpawn();
+  return { x: Math.round(c.x), y: Math.round(c.y), radius: Math.round(SHOP_ZONE_RADIUS) };
+}
+
+function inShopZone(p) {
+  if (!SHOP_REQUIRE_ZONE) return true;
+  const z = shopZone();
+  return Math.hypot(p.x - z.x, p.y - z.y) <= z.radius;
+}
+
+function teamSpawnPoint(team, rng = Math.random) {
+  const inset = MAP_HALF - CELL * 1.5;
+  const [cx, cy] = TEAM_DEFS[team].corner;
+  const x0 = cx * inset, y0 = cy * inset;
+  for (let attempt = 0; attempt < 12; attempt++) {
+    const x = x0 + (rng() * 2 - 1) * CELL * 0.3;
+    const y = y0 + (rng() * 2 - 1) * CELL * 0.3;
+    if (isCellOpen(navGrid, cellIndexAt(navGrid, x, y))) return { x, y };
+  }
+  return { x: x0, y: y0 };
+}
+
+function randomMapSpawn(rng = Math.random) {
   // Spawn randomly around the map, avoiding walls
   const limit = MAP_HALF - 50;
   const maxAttempts = 20;
   
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const x = (Math.random() * 2 - 1) * limit;
-    const y = (Math.random() * 2 - 1) * limit;
+    const x = (rng() * 2 - 1) * limit;
+    const y = (rng() * 2 - 1) * limit;
     
     if (!pointInsideWall(x, y, 50)) {
       return { x, y };
@@ -291,6 +578,10 @@ function createQueue(mode) {
   return queues.get(mode);
 }
 
+function isKnownMode(mode) {
+  return Object.prototype.hasOwnProperty.call(MATCH_MODES, mode);
+}
+
 function getOrCreateQueue(mode) {
   return createQueue(mode);
 }
@@ -298,17 +589,12 @@ function getOrCreateQueue(mode) {
 function broadcastQueueUpdate(mode) {
   const queue = queues.get(mode);
   if (!queue) return;
-  const msg = JSON.stringify({
+  sendToPlayers(queue.players, {
     t: 'queue_update',
     mode,
     players: queue.players.map(p => ({ id: p.id, name: p.name })),
     count: queue.players.length
   });
-  for (const p of queue.players) {
-    if (p.ws && p.ws.readyState === WebSocket.OPEN) {
-      try { p.ws.send(msg); } catch (e) {}
-    }
-  }
 }
 
 function addPlayerToQueue(player, mode) {
@@ -322,6 +608,7 @@ function addPlayerToQueue(player, mode) {
   }
   
   const queue = getOrCreateQueue(mode);
+  player.queuedAt = nowMs();
   queue.players.push(player);
   playerToQueue.set(player.id, mode);
   
@@ -353,18 +640,12 @@ function startQueueCountdown(mode) {
   
   queue.countdownStartedAt = nowMs();
   
-  const msg = JSON.stringify({
+  sendToPlayers(queue.players, {
     t: 'match_created',
     mode,
     matchId: `match_${nextMatchId}`,
     countdownMs: QUEUE_COUNTDOWN_MS
   });
-  
-  for (const p of queue.players) {
-    if (p.ws && p.ws.readyState === WebSocket.OPEN) {
-      try { p.ws.send(msg); } catch (e) {}
-    }
-  }
 }
 
 function updateQueueCountdowns() {
@@ -381,35 +662,23 @@ function updateQueueCountdowns() {
       console.warn(`⚠️ Queue ${mode} dropped below ${MIN_PLAYERS_TO_START} players (now ${queue.players.length}), cancelling countdown`);
       queue.countdownStartedAt = null;
       
-      const msg = JSON.stringify({
+      sendToPlayers(queue.players, {
         t: 'queue_update',
         mode,
         players: queue.players.map(p => ({ id: p.id, name: p.name })),
         count: queue.players.length,
         reason: 'cancelled_insufficient_players'
       });
-      
-      for (const p of queue.players) {
-        if (p.ws && p.ws.readyState === WebSocket.OPEN) {
-          try { p.ws.send(msg); } catch (e) {}
-        }
-      }
       continue;
     }
     
     if (elapsed % 1000 < TICK_DT * 1000) {
-      const msg = JSON.stringify({
+      sendToPlayers(queue.players, {
         t: 'match_countdown',
         mode,
         remainingMs: remaining,
         players: queue.players.map(p => ({ id: p.id, name: p.name }))
       });
-      
-      for (const p of queue.players) {
-        if (p.ws && p.ws.readyState === WebSocket.OPEN) {
-          try { p.ws.send(msg); } catch (e) {}
-        }
-      }
     }
     
     // ✅ ONLY create match if we have enough players AND countdown ended
@@ -421,78 +690,410 @@ function updateQueueCountdowns() {
       console.warn(`❌ Countdown ended with only ${queue.players.length} players (need ${MIN_PLAYERS_TO_START}) - match cancelled`);
       queue.countdownStartedAt = null;
       
-      const msg = JSON.stringify({
+      sendToPlayers(queue.players, {
         t: 'match_countdown',
         mode,
         remainingMs: 0,
         players: queue.players.map(p => ({ id: p.id, name: p.name })),
         reason: 'countdown_ended_insufficient_players'
       });
-      
-      for (const p of queue.players) {
-        if (p.ws && p.ws.readyState === WebSocket.OPEN) {
-          try { p.ws.send(msg); } catch (e) {}
-        }
-      }
     }
   }
 }
 
+// --- Parties ---
+// Parties live outside matches, so they carry over from one match to the next.
+// Only the leader can queue; the whole party then joins the queue as one
+// matchmaking unit and lands in the same match (and on the same team).
+function partyView(party) {
+  return {
+    id: party.id,
+    leaderId: party.leaderId,
+    members: party.memberIds.map(id => ({ id, name: players.has(id) ? players.get(id).name : id })),
+    invited: Array.from(party.invited)
+  };
+}
+
+// `playerId` is whoever the change was about (joined, left, kicked, ...).
+function broadcastPartyUpdate(party, reason, playerId) {
+  sendToPlayers(party.memberIds.map(id => players.get(id)).filter(Boolean), { t: 'party_update', party: partyView(party), reason: reason || null, playerId: playerId || null });
+}
+
+function createParty(player) {
+  const party = { id: 'party_' + (nextPartyId++), leaderId: player.id, memberIds: [player.id], invited: new Set() };
+  parties.set(party.id, party);
+  playerToParty.set(player.id, party.id);
+  return party;
+}
+
+// Removes a player from their party, handing leadership to the next member
+// and dropping the party once it is empty. `reason` is passed on to the
+// remaining members ('left', 'kicked', 'timed_out').
+function leaveParty(playerId, reason) {
+  const party = parties.get(playerToParty.get(playerId));
+  playerToParty.delete(playerId);
+  if (!party) return;
+  party.memberIds = party.memberIds.filter(id => id !== playerId);
+  const player = players.get(playerId);
+  if (player) sendToSocket(player.ws, { t: 'party_update', party: null, reason, playerId });
+  if (party.memberIds.length === 0) { parties.delete(party.id); return; }
+  if (party.leaderId === playerId) party.leaderId = party.memberIds[0];
+  broadcastPartyUpdate(party, reason, playerId);
+}
+
+// A player who is gone for good leaves their party and loses any pending invites.
+function removePlayerFromParties(playerId, reason) {
+  for (const party of parties.values()) {
+    if (party.invited.delete(playerId)) broadcastPartyUpdate(party, 'invite_expired', playerId);
+  }
+  leaveParty(playerId, reason);
+}
+
+function inActiveMatch(playerId) {
+  const match = matches.get(playerToMatch.get(playerId));
+  return !!match && match.state !== 'ended';
+}
+
+// Returns a rejection reason, or null once the action is done.
+function handlePartyMessage(player, msg) {
+  const party = parties.get(playerToParty.get(player.id)) || null;
+  if (msg.t === 'party_create') {
+    if (party) return 'already_in_party';
+    broadcastPartyUpdate(createParty(player), 'created');
+  } else if (msg.t === 'party_invite') {
+    const target = players.get(String(msg.playerId));
+    if (!target || target.id === player.id) return 'unknown_player';
+    const p = party || createParty(player);
+    if (p.leaderId !== player.id) return 'not_party_leader';
+    if (p.memberIds.includes(target.id)) return 'already_member';
+    // Only members count: invites may go unanswered, so any number can be
+    // out and the first to accept get the free places.
+    if (p.memberIds.length >= PARTY_MAX_SIZE) return 'party_full';
+    p.invited.add(target.id);
+    sendToSocket(target.ws, { t: 'party_invited', partyId: p.id, fromId: player.id, fromName: player.name });
+    broadcastPartyUpdate(p, 'invited', target.id);
+  } else if (msg.t === 'party_accept') {
+    const p = parties.get(String(msg.partyId));
+    if (!p || !p.invited.has(player.id)) return 'no_invite';
+    if (party) return 'already_in_party';
+    if (p.memberIds.length >= PARTY_MAX_SIZE) return 'party_full';
+    p.invited.delete(player.id);
+    p.memberIds.push(player.id);
+    playerToParty.set(player.id, p.id);
+    // Joining a party takes the player out of any queue they were in alone.
+    removePlayerFromQueue(player.id);
+    broadcastPartyUpdate(p, 'joined', player.id);
+  } else if (msg.t === 'party_leave') {
+    if (!party) return 'not_in_party';
+    leaveParty(player.id, 'left');
+  } else if (msg.t === 'party_kick') {
+    if (!party) return 'not_in_party';
+    if (party.leaderId !== player.id) return 'not_party_leader';
+    const targetId = String(msg.playerId);
+    if (targetId === player.id) return 'unknown_player';
+    if (party.invited.delete(targetId)) { broadcastPartyUpdate(party, 'invite_revoked', targetId); return null; }
+    if (!party.memberIds.includes(targetId)) return 'unknown_player';
+    removePlayerFromQueue(targetId);
+    leaveParty(targetId, 'kicked');
+  } else {
+    return 'unknown_action';
+  }
+  return null;
+}
+
+// Queues a player, or their whole party when they lead one. Returns a
+// rejection reason or null.
+function queuePlayerOrParty(player, mode) {
+  const party = parties.get(playerToParty.get(player.id));
+  if (!party) { addPlayerToQueue(player, mode); return null; }
+  if (party.leaderId !== player.id) return 'not_party_leader';
+  const modeDef = MATCH_MODES[mode];
+  if (party.memberIds.length > Math.min(modeDef.maxPlayers, modeDef.teams ? modeDef.teamSize : Infinity)) return 'party_too_large';
+  if (party.memberIds.some(id => !players.has(id) || !players.get(id).ws || inActiveMatch(id) || playerToLobby.has(id))) return 'party_member_busy';
+  for (const id of party.memberIds) {
+    const member = players.get(id);
+    if (member) addPlayerToQueue(member, mode);
+  }
+  return null;
+}
+
+// Takes a player (and the rest of their party) out of the queue.
+function cancelQueueFor(player) {
+  const party = parties.get(playerToParty.get(player.id));
+  for (const id of party ? party.memberIds : [player.id]) removePlayerFromQueue(id);
+}
+
+// Queued players as matchmaking units for rating.groupByRating: one per
+// party (at its members' average rating) or per solo player.
+function queueUnits(queuedPlayers) {
+  const units = new Map();
+  for (const p of queuedPlayers) {
+    const key = playerToParty.get(p.id) || p.id;
+    let unit = units.get(key);
+    if (!unit) { unit = { players: [], rating: 0, queuedAt: p.queuedAt, size: 0 }; units.set(key, unit); }
+    unit.players.push(p);
+    unit.size++;
+    unit.rating += playerSkill(p);
+    unit.queuedAt = Math.min(unit.queuedAt, p.queuedAt);
+  }
+  for (const unit of units.values()) unit.rating /= unit.size;
+  return Array.from(units.values());
+}
+
+// --- Private lobbies ---
+// A host creates a lobby, shares its code, sets the rules and starts the match
+// by hand; no queue, countdown or minimum player count is involved. Lobby
+// matches never change ratings. The lobby outlives its matches so the same
+// group can play again.
+function generateLobbyCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < LOBBY_CODE_LENGTH; i++) code += LOBBY_CODE_ALPHABET[crypto.randomInt(LOBBY_CODE_ALPHABET.length)];
+  } while (lobbies.has(code));
+  return code;
+}
+
+function defaultLobbyRules() {
+  return { mode: 'ffa', durationMs: MATCH_DURATION_MS, maxPlayers: MAX_PLAYERS_PER_MATCH, allowedClasses: Object.keys(SKILL_DEFS), mobDensity: 1 };
+}
+
+// Applies the fields present in `input` on top of `current`. Returns
+// { rules } or { reason }.
+function mergeLobbyRules(current, input) {
+  const rules = Object.assign({}, current);
+  if (!input || typeof input !== 'object') return { rules };
+  if (input.mode != null) {
+    if (!isKnownMode(String(input.mode))) return { reason: 'unknown_mode' };
+    rules.mode = String(input.mode);
+  }
+  if (input.durationMs != null) {
+    const ms = Number(input.durationMs);
+    if (!isFinite(ms)) return { reason: 'bad_duration' };
+    rules.durationMs = Math.max(LOBBY_DURATION_RANGE_MS[0], Math.min(LOBBY_DURATION_RANGE_MS[1], Math.round(ms)));
+  }
+  if (input.maxPlayers != null) {
+    const n = Math.floor(Number(input.maxPlayers));
+    if (!(n >= 1)) return { reason: 'bad_max_players' };
+    rules.maxPlayers = n;
+  }
+  // Kept as the host asked; lobbyCapacity applies the mode's cap, so switching
+  // to a smaller mode and back does not lose it.
+  rules.maxPlayers = Math.min(rules.maxPlayers, MAX_PLAYERS_PER_MATCH);
+  if (input.allowedClasses != null) {
+    if (!Array.isArray(input.allowedClasses)) return { reason: 'bad_classes' };
+    const classes = input.allowedClasses.map(String).filter(c => SKILL_DEFS[c]);
+    if (!classes.length) return { reason: 'bad_classes' };
+    rules.allowedClasses = Array.from(new Set(classes));
+  }
+  if (input.mobDensity != null) {
+    const d = Number(input.mobDensity);
+    if (!isFinite(d)) return { reason: 'bad_mob_density' };
+    rules.mobDensity = Math.max(LOBBY_MOB_DENSITY_RANGE[0], Math.min(LOBBY_MOB_DENSITY_RANGE[1], d));
+  }
+  return { rules };
+}
+
+function lobbyCapacity(rules) {
+  return Math.min(rules.maxPlayers, MATCH_MODES[rules.mode].maxPlayers);
+}
+
+function lobbyView(lobby) {
+  return {
+    code: lobby.code,
+    hostId: lobby.hostId,
+    players: lobby.playerIds.map(id => { const p = players.get(id); return { id, name: p ? p.name : id, class: p ? p.class : null }; }),
+    rules: lobby.rules,
+    matchId: lobby.matchId
+  };
+}
+
+function broadcastLobbyUpdate(lobby, reason, playerId) {
+  sendToPlayers(lobby.playerIds.map(id => players.get(id)).filter(Boolean), { t: 'lobby_update', lobby: lobbyView(lobby), reason: reason || null, playerId: playerId || null });
+}
+
+function joinLobby(player, lobby) {
+  lobby.playerIds.push(player.id);
+  playerToLobby.set(player.id, lobby.code);
+  // Lobby members wait for the host, not for public matchmaking.
+  removePlayerFromQueue(player.id);
+}
+
+function leaveLobby(playerId, reason) {
+  const lobby = lobbies.get(playerToLobby.get(playerId));
+  playerToLobby.delete(playerId);
+  if (!lobby) return;
+  lobby.playerIds = lobby.playerIds.filter(id => id !== playerId);
+  const player = players.get(playerId);
+  if (player) sendToSocket(player.ws, { t: 'lobby_update', lobby: null, reason, playerId });
+  if (lobby.playerIds.length === 0) { lobbies.delete(lobby.code); return; }
+  if (lobby.hostId === playerId) lobby.hostId = lobby.playerIds[0];
+  broadcastLobbyUpdate(lobby, reason, playerId);
+}
+
+// Returns a rejection reason, or null once the action is done.
+function handleLobbyMessage(player, msg) {
+  const lobby = lobbies.get(playerToLobby.get(player.id)) || null;
+  if (msg.t === 'lobby_create') {
+    if (lobby) return 'already_in_lobby';
+    const res = mergeLobbyRules(defaultLobbyRules(), msg.rules);
+    if (res.reason) return res.reason;
+    const created = { code: generateLobbyCode(), hostId: player.id, playerIds: [], rules: res.rules, matchId: null };
+    lobbies.set(created.code, created);
+    joinLobby(player, created);
+    broadcastLobbyUpdate(created, 'created', player.id);
+  } else if (msg.t === 'lobby_join') {
+    if (lobby) return 'already_in_lobby';
+    const target = lobbies.get(String(msg.code || '').toUpperCase());
+    if (!target) return 'unknown_code';
+    if (target.playerIds.length >= lobbyCapacity(target.rules)) return 'lobby_full';
+    if (!target.rules.allowedClasses.includes(player.class)) return 'class_not_allowed';
+    joinLobby(player, target);
+    broadcastLobbyUpdate(target, 'joined', player.id);
+  } else if (msg.t === 'lobby_leave') {
+    if (!lobby) return 'not_in_lobby';
+    leaveLobby(player.id, 'left');
+  } else if (msg.t === 'lobby_rules') {
+    if (!lobby) return 'not_in_lobby';
+    if (lobby.hostId !== player.id) return 'not_lobby_host';
+    const res = mergeLobbyRules(lobby.rules, msg.rules);
+    if (res.reason) return res.reason;
+    lobby.rules = res.rules;
+    broadcastLobbyUpdate(lobby, 'rules_changed', player.id);
+  } else if (msg.t === 'lobby_start') {
+    if (!lobby) return 'not_in_lobby';
+    if (lobby.hostId !== player.id) return 'not_lobby_host';
+    const running = matches.get(lobby.matchId);
+    if (running && running.state !== 'ended') return 'match_in_progress';
+    // Members still inside their resume grace period sit this one out.
+    const entrants = lobby.playerIds.map(id => players.get(id)).filter(p => p && p.ws);
+    if (entrants.length > lobbyCapacity(lobby.rules)) return 'lobby_full';
+    if (entrants.some(p => !lobby.rules.allowedClasses.includes(p.class))) return 'class_not_allowed';
+    if (entrants.some(p => inActiveMatch(p.id))) return 'player_busy';
+    lobby.matchId = createMatch(lobby.rules.mode, entrants, { lobby }).id;
+    broadcastLobbyUpdate(lobby, 'started', player.id);
+  } else {
+    return 'unknown_action';
+  }
+  return null;
+}
+
+// Rating when the player has one, otherwise the level they reached last match.
+function playerSkill(p) {
+  return typeof p.rating === 'number' ? p.rating : (p.level || 1);
+}
+
+// Parties first (largest first), then solo players strongest first; each goes
+// onto the team with the fewest players (then the lowest total skill) that
+// still has room for all of it. A party that fits nowhere whole is split.
+// Sets p.team on every player.
+function assignTeams(entrants, modeDef) {
+  const teams = TEAM_DEFS.slice(0, modeDef.teams).map((def, id) => ({ id, name: def.name, color: def.color, playerIds: [], skill: 0 }));
+  const units = queueUnits(entrants).sort((a, b) => b.size - a.size || b.rating - a.rating);
+  const place = (group) => {
+    const open = teams.filter(t => t.playerIds.length + group.length <= modeDef.teamSize);
+    if (!open.length) return false;
+    open.sort((a, b) => a.playerIds.length - b.playerIds.length || a.skill - b.skill);
+    const team = open[0];
+    for (const p of group) {
+      team.playerIds.push(p.id);
+      team.skill += playerSkill(p);
+      p.team = team.id;
+    }
+    return true;
+  };
+  for (const unit of units) {
+    if (!place(unit.players)) unit.players.forEach(p => place([p]));
+  }
+  return teams.map(t => ({ id: t.id, name: t.name, color: t.color, playerIds: t.playerIds }));
+}
+
+// Splits the queue into rating groups (see lib/rating.js) and starts a match
+// for each. Whoever is left over stays queued with a widening search window.
 function createMatchFromQueue(mode) {
   const queue = queues.get(mode);
   if (!queue || queue.players.length === 0) return;
+  const modeDef = MATCH_MODES[mode];
+  const groups = rating.groupByRating(queueUnits(queue.players), {
+    cap: Math.min(modeDef.maxPlayers, MAX_PLAYERS_PER_MATCH),
+    min: MIN_PLAYERS_TO_START,
+    now: nowMs()
+  });
+  const started = new Set();
+  for (const group of groups) {
+    const entrants = [].concat(...group.map(unit => unit.players));
+    entrants.forEach(p => started.add(p.id));
+    createMatch(mode, entrants);
+  }
   
+  queue.players = queue.players.filter(p => !started.has(p.id));
+  if (queue.players.length === 0) {
+    queues.delete(mode);
+  } else {
+    queue.countdownStartedAt = null;
+    broadcastQueueUpdate(mode);
+    if (queue.players.length >= MIN_PLAYERS_TO_START) startQueueCountdown(mode);
+  }
+}
+
+// opts.lobby: the private lobby starting the match; its rules replace the
+// defaults and the match is unrated.
+function createMatch(mode, entrants, opts = {}) {
+  const modeDef = MATCH_MODES[mode];
+  const rules = opts.lobby ? opts.lobby.rules : null;
   const matchId = `match_${nextMatchId++}`;
   const matchPlayers = new Map();
   
-  for (const p of queue.players) {
+  for (const p of entrants) {
     matchPlayers.set(p.id, p);
     playerToMatch.set(p.id, matchId);
     playerToQueue.delete(p.id);
+    p.team = null;
   }
+  const teams = modeDef.teams ? assignTeams(entrants, modeDef) : null;
+  assignMatchNames(entrants);
   
   const match = {
     id: matchId,
     mode,
     players: matchPlayers,
+    world: createMatchWorld(matchId, matchPlayers, { ambientMobs: modeDef.ambientMobs !== false, mobDensity: rules ? rules.mobDensity : 1 }),
     state: 'loading',
+    durationMs: rules ? rules.durationMs : MATCH_DURATION_MS,
+    rated: modeDef.rated !== false && !rules,
+    lobbyCode: opts.lobby ? opts.lobby.code : null,
     createdAt: nowMs(),
     countdownStartedAt: null,
     startedAt: null,
     timerAdjusted: false,
+    teams,
+    spectators: new Map(), // playerId -> player, see handleSpectateMessage
     leaderboard: Array.from(matchPlayers.values()).map(p => ({ playerId: p.id, playerName: p.name, kills: 0 }))
   };
   
+  match.objective = modeDef.objective ? OBJECTIVES[modeDef.objective].init(match) : null;
   matches.set(matchId, match);
   
-  queues.delete(mode);
-  
-  const msg = JSON.stringify({
-    t: 'match_start',
-    matchId,
-    mode,
-    mapHalf: MAP_HALF,
-    mapSize: MAP_SIZE,
-    mapType: MAP_TYPE,
-    mapRadius: MAP_HALF,
-    tickRate: TICK_RATE,
-    matchDurationMs: MATCH_DURATION_MS,
-    walls
-  });
+  const msg = matchStartMessage(match);
   
   for (const p of matchPlayers.values()) {
+    stopPlayback(p);
+    stopSpectating(p, 'match_starting');
     if (p.ws && p.ws.readyState === WebSocket.OPEN) {
       p.hp = p.maxHp;
+      p.eliminated = false;
       p.kills = 0;
       p.deaths = 0;
       p.xp = 0;
       p.level = 1;
       p.nextLevelXp = 100;
       
-      // ✅ RANDOM SPAWN FOR FFA
+      // ✅ RANDOM SPAWN FOR FFA, team corners for team modes
       let pos;
-      if (mode === 'ffa') {
-        pos = randomMapSpawn();
+      if (p.team != null) {
+        pos = teamSpawnPoint(p.team, match.world.rng);
+      } else if (modeDef.randomSpawn) {
+        pos = randomMapSpawn(match.world.rng);
       } else {
         pos = bottomLeftSpawn();
       }
@@ -500,15 +1101,40 @@ function createMatchFromQueue(mode) {
       p.y = pos.y;
       p.serverX = pos.x;
       p.serverY = pos.y;
+      p.snapshotState = createSnapshotState();
       
-      try {
-        p.ws.send(msg);
-      } catch (e) {}
+      sendToSocket(p.ws, msg);
+      sendInventory(p);
     }
   }
   
   match.startedAt = nowMs();
+  // Simulation time starts with the match and then moves one TICK_MS per tick.
+  if (match.world) match.world.time = match.startedAt;
   match.state = 'in_game';
+  if (RECORD_REPLAYS) startReplay(match);
+  return match;
+}
+
+// Also re-sent on resume, with startedAt telling the client how far in it is.
+function matchStartMessage(match) {
+  return {
+    t: 'match_start',
+    matchId: match.id,
+    mode: match.mode,
+    mapHalf: MAP_HALF,
+    mapSize: MAP_SIZE,
+    mapType: MAP_TYPE,
+    mapRadius: MAP_HALF,
+    tickRate: TICK_RATE,
+    matchDurationMs: match.durationMs,
+    walls: match.world.walls,
+    shopZone: SHOP_REQUIRE_ZONE ? shopZone() : null,
+    teams: match.teams,
+    objective: match.objective ? OBJECTIVES[match.objective.kind].snapshot(match) : null,
+    lobbyCode: match.lobbyCode,
+    startedAt: match.startedAt
+  };
 }
 
 function createPlayerRuntime(ws, opts = {}) {
@@ -517,7 +1143,7 @@ function createPlayerRuntime(ws, opts = {}) {
   const pos = bottomLeftSpawn();
   const color = `hsl(${Math.floor(Math.random()*360)},70%,60%)`;
   const p = {
-    id, name: opts.name || ('Player' + id),
+    id, name: opts.name || ('Player' + id), baseName: opts.name || ('Player' + id),
     x: pos.x, y: pos.y, vx:0, vy:0, radius:28, color,
     ws, lastInput: { x:0, y:0 }, lastSeen: nowMs(), chatTimestamps: [],
     maxHp: 200, hp: 200, xp: 0, nextLevelXp: 100, level: 1, gold: 0,
@@ -529,14 +1155,28 @@ function createPlayerRuntime(ws, opts = {}) {
     damageMul: 1.0,
     buffDurationMul: 1.0,
     stunnedUntil: 0,
-    equipment: new Array(5).fill(null),
+    equipment: new Array(items.EQUIP_SLOTS.length).fill(null),
+    inventory: [],
     _baseMaxHp: 200,
     _baseBaseSpeed: 380,
     _baseBaseDamage: 18,
     kills: 0,
     deaths: 0,
+    team: null,
+    eliminated: false,
+    rating: rating.DEFAULT_RATING,
+    ratedGames: 0,
+    account: null,
+    violations: anticheat.createViolationState(),
+    inputsThisTick: 0,
+    pendingActions: [],
+    lastInputSeq: 0,     // newest input received
+    ackedInputSeq: 0,    // newest input applied by a tick, echoed in snapshots
+    rtt: 0,
+    rttProbe: null,
     serverX: pos.x,
-    serverY: pos.y
+    serverY: pos.y,
+    snapshotState: createSnapshotState()
   };
   players.set(String(p.id), p);
   return p;
@@ -588,22 +1228,66 @@ const server = http.createServer((req, res) => {
     res.end(JSON.stringify(walls));
     return;
   }
+  if (req.url.startsWith('/auth/')) {
+    handleAuthRequest(req, res).catch(err => {
+      console.error('Auth request failed:', err);
+      if (!res.headersSent) sendJson(req, res, 500, { error: 'server_error' });
+    });
+    return;
+  }
+  if (req.method === 'GET' && req.url.split('?')[0] === '/matches') {
+    sendJson(req, res, 200, { matches: spectatableMatches() });
+    return;
+  }
+  if (req.method === 'GET' && (req.url === '/replays' || req.url.startsWith('/replays/'))) {
+    handleReplayRequest(req, res).catch(err => {
+      console.error('Replay request failed:', err);
+      if (!res.headersSent) sendJson(req, res, 500, { error: 'server_error' });
+    });
+    return;
+  }
   res.writeHead(404);
   res.end();
 });
 
-const wss = new WebSocket.Server({ server });
+// Clients pick the binary encoding either by offering the BINARY_SUBPROTOCOL
+// WebSocket subprotocol or with `protocol: 'binary'` in their 'join' message;
+// everything else gets JSON.
+const wss = new WebSocket.Server({
+  server,
+  handleProtocols: (offered) => {
+    if (offered.has(protocol.BINARY_SUBPROTOCOL)) return protocol.BINARY_SUBPROTOCOL;
+    if (offered.has(protocol.JSON_SUBPROTOCOL)) return protocol.JSON_SUBPROTOCOL;
+    return false;
+  }
+});
 const allowedOrigins = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',').map(s => s.trim()).filter(Boolean) : null;
 
+// --- Sending ---
+// `cache` lets broadcasts encode each message at most once per encoding.
+function encodeForSocket(ws, obj, cache) {
+  const key = ws.binaryProtocol ? 'binary' : 'json';
+  if (cache && cache[key]) return cache[key];
+  const data = ws.binaryProtocol ? protocol.encodeBinary(obj) : protocol.encodeJson(obj);
+  if (cache) cache[key] = data;
+  return data;
+}
+
+function sendToSocket(ws, obj, cache) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  try { ws.send(encodeForSocket(ws, obj, cache)); } catch (e) {}
+}
+
+function sendToPlayers(list, obj) {
+  const cache = {};
+  for (const p of list) sendToSocket(p.ws, obj, cache);
+}
+
 function broadcastToMatch(matchId, obj) {
   const match = matches.get(matchId);
   if (!match) return;
-  const msg = JSON.stringify(obj);
-  for (const p of match.players.values()) {
-    if (p.ws && p.ws.readyState === WebSocket.OPEN) {
-      try { p.ws.send(msg); } catch (e) {}
-    }
-  }
+  sendToPlayers(match.players.values(), obj);
+  if (match.spectators && match.spectators.size) sendToPlayers(match.spectators.values(), obj);
 }
 
 function broadcastToAllMatches(obj) {
@@ -660,7 +1344,7 @@ function damageMob(mob, amount, playerId) {
   mob.hp -= amount;
   if (playerId) { mob.damageContrib[playerId] = (mob.damageContrib[playerId] || 0) + amount; }
 
-  const matchId = playerToMatch.get(playerId);
+  const matchId = mob.matchId;
   if (matchId) {
     try {
       broadcastToMatch(matchId, { t: 'mob_hurt', mobId: mob.id, hp: Math.max(0, Math.round(mob.hp)), damage: Math.round(amount), sourceId: playerId || null });
@@ -680,37 +1364,124 @@ function handleMobDeath(mob, killerId = null) {
     if (d > topDmg) { topDmg = d; topId = pid; }
   }
   const def = mob.def;
-  const gold = Math.round(randRange(def.goldMin, def.goldMax));
+  const match = matches.get(mob.matchId);
+  const world = match && match.world;
+  const gold = Math.round(randRange(def.goldMin, def.goldMax, world ? world.rng : Math.random));
   const xp = def.xp || 0;
-  if (topId && players.has(String(topId))) {
-    const killer = players.get(String(topId));
+  let killerInMatch = null;
+  // Only players still in the mob's own match can be credited with the kill.
+  if (def.shareLoot && match) {
+    killerInMatch = distributeSharedLoot(mob, match, gold, xp);
+  } else if (topId && match && match.players.has(String(topId))) {
+    const killer = match.players.get(String(topId));
+    killerInMatch = killer.id;
     killer.gold = Number(killer.gold||0) + gold;
     killer.kills = (killer.kills || 0) + 1;
     awardXpToPlayer(killer, xp);
     
-    const matchId = playerToMatch.get(killer.id);
-    if (matchId) {
-      const match = matches.get(matchId);
-      if (match) {
-        const entry = match.leaderboard.find(e => e.playerId === killer.id);
-        if (entry) entry.kills++;
-        broadcastToMatch(matchId, { t:'mob_died', mobId: mob.id, mobType: mob.type, killerId: killer.id, gold, xp, leaderboard: match.leaderboard });
-      }
-    }
-  } else {
-    const matchId = Array.from(playerToMatch.values())[0];
-    if (matchId) {
-      broadcastToMatch(matchId, { t:'mob_died', mobId: mob.id, mobType: mob.type, killerId: null, gold:0, xp:0 });
-    }
+    const entry = match.leaderboard.find(e => e.playerId === killer.id);
+    if (entry) entry.kills++;
+    broadcastToMatch(match.id, { t:'mob_died', mobId: mob.id, mobType: mob.type, killerId: killer.id, gold, xp, leaderboard: match.leaderboard });
+  } else if (match) {
+    broadcastToMatch(match.id, { t:'mob_died', mobId: mob.id, mobType: mob.type, killerId: null, gold:0, xp:0 });
+  }
+  if (world && def.loot) {
+    // Drops are reserved for whoever got the kill credit.
+    for (const item of items.rollLoot(def.loot, world.rng)) dropGroundItem(world, item, mob.x, mob.y, killerInMatch);
   }
-  mob.respawnAt = nowMs() + (mob.def.respawn || 10) * 1000;
+  mob.respawnAt = (world ? world.time : nowMs()) + (mob.def.respawn || 10) * 1000;
   mob.hp = 0;
   mob.dead = true;
   mob.damageContrib = {};
 }
 
+// Splits gold and XP between every contributor still in the match in
+// proportion to the damage they dealt; the top one is credited with the kill,
+// and 'mob_died' reports that player's share. Returns the killer's id (null
+// if nobody in the match contributed).
+function distributeSharedLoot(mob, match, gold, xp) {
+  const contributors = Object.keys(mob.damageContrib).filter(pid => match.players.has(pid) && mob.damageContrib[pid] > 0);
+  const total = contributors.reduce((sum, pid) => sum + mob.damageContrib[pid], 0);
+  const rewards = [];
+  for (const pid of contributors) {
+    const p = match.players.get(pid);
+    const share = mob.damageContrib[pid] / total;
+    const g = Math.round(gold * share), x = Math.round(xp * share);
+    p.gold = Number(p.gold||0) + g;
+    if (x > 0) awardXpToPlayer(p, x);
+    rewards.push({ playerId: pid, gold: g, xp: x, damage: Math.round(mob.damageContrib[pid]) });
+  }
+  rewards.sort((a, b) => b.damage - a.damage);
+  const top = rewards.length ? rewards[0] : null;
+  const killer = top ? match.players.get(top.playerId) : null;
+  if (killer) {
+    killer.kills = (killer.kills || 0) + 1;
+    const entry = match.leaderboard.find(e => e.playerId === killer.id);
+    if (entry) entry.kills++;
+  }
+  broadcastToMatch(match.id, { t:'mob_died', mobId: mob.id, mobType: mob.type, killerId: killer ? killer.id : null, gold: top ? top.gold : 0, xp: top ? top.xp : 0, leaderboard: match.leaderboard });
+  if (mob.def.boss) {
+    console.log(`👑 ${mob.def.name} defeated in match ${match.id} by ${rewards.length} player(s)`);
+    broadcastToMatch(match.id, { t: 'boss_defeated', mobId: mob.id, mobType: mob.type, name: mob.def.name, killerId: killer ? killer.id : null, rewards });
+  }
+  return killer ? killer.id : null;
+}
+
+// --- Ground items ---
+function dropGroundItem(world, item, x, y, ownerId) {
+  // Scatter drops a little so a multi-item drop does not stack on one spot.
+  for (let attempt = 0; attempt < 6; attempt++) {
+    const a = world.rng() * Math.PI * 2, r = 20 + world.rng() * 60;
+    const px = x + Math.cos(a) * r, py = y + Math.sin(a) * r;
+    if (!pointInsideWall(px, py, 8, world.walls)) { x = px; y = py; break; }
+  }
+  const now = world.time;
+  const gi = {
+    id: 'gi_' + (nextGroundItemId++), item, x, y, radius: 20,
+    ownerId: ownerId || null, ownerUntil: ownerId ? now + LOOT_OWNER_MS : 0, expiresAt: now + GROUND_ITEM_TTL_MS
+  };
+  world.groundItems.set(gi.id, gi);
+  return gi;
+}
+
+function expireGroundItems(world, now) {
+  for (const [id, gi] of world.groundItems) {
+    if (now >= gi.expiresAt) world.groundItems.delete(id);
+  }
+}
+
+// Moves a ground item into the player's inventory. Returns a rejection
+// reason, or null on success.
+function pickupGroundItem(player, world, id, now) {
+  const gi = world.groundItems.get(String(id));
+  if (!gi) return 'gone';
+  if (player.hp <= 0) return 'dead';
+  if (Math.hypot(gi.x - player.x, gi.y - player.y) > PICKUP_RADIUS + (player.radius || 0)) return 'too_far';
+  if (gi.ownerId && gi.ownerId !== player.id && now < gi.ownerUntil) return 'reserved';
+  if (!items.addToInventory(player, gi.item)) return 'inventory_full';
+  world.groundItems.delete(gi.id);
+  return null;
+}
+
+function sendInventory(player) {
+  if (!player.ws) return;
+  sendToSocket(player.ws, Object.assign({ t: 'inventory' }, items.inventoryView(player)));
+}
+
+// Whether `attackerId` may damage player `target` in `match`: never
+// themselves, and teammates only in modes with friendly fire. Mobs (and
+// players who already left) can always hit.
+function canHurtPlayer(match, attackerId, target) {
+  if (!attackerId) return true;
+  if (String(attackerId) === String(target.id)) return false;
+  const attacker = match && match.players.get(String(attackerId));
+  if (!attacker || attacker.team == null || attacker.team !== target.team) return true;
+  return !!MATCH_MODES[match.mode].friendlyFire;
+}
+
 function applyDamageToPlayer(targetPlayer, amount, attackerId) {
   if (!targetPlayer || targetPlayer.hp <= 0) return;
+  if (!canHurtPlayer(matches.get(playerToMatch.get(targetPlayer.id)), attackerId, targetPlayer)) return;
   targetPlayer.hp -= amount;
   if (targetPlayer.hp <= 0) {
     handlePlayerDeath(targetPlayer, attackerId ? { id: attackerId } : null);
@@ -768,190 +1539,1110 @@ function resolveCircleAABB(p, rect) {
   if (overlap > 0) { dx /= dist; dy /= dist; p.x += dx * overlap; p.y += dy * overlap; const vn = p.vx * dx + p.vy * dy; if (vn > 0) { p.vx -= vn * dx; p.vy -= vn * dy; } }
 }
 
-function updateMatchTimers() {
-  for (const [matchId, match] of matches.entries()) {
-    if (match.state !== 'in_game') continue;
-    
-    const now = nowMs();
-    const elapsed = now - match.startedAt;
-    const remaining = MATCH_DURATION_MS - elapsed;
-    
-    if (remaining <= 0) {
-      console.log(`🏁 Match ${matchId} timer expired - match ended`);
-      match.state = 'ended';
-      
-      // Sort leaderboard by kills (descending)
-      const sortedLeaderboard = [...match.leaderboard].sort((a, b) => b.kills - a.kills);
-      
-      const msg = JSON.stringify({
-        t: 'match_ended',
-        matchId,
-        leaderboard: sortedLeaderboard,
-        endTime: now
-      });
-      
-      broadcastToMatch(matchId, msg);
-      
-      // Clean up match from tracking
-      setTimeout(() => {
-        matches.delete(matchId);
-      }, 60000);
+// Pushes a circle entity ({ x, y, vx, vy, radius }) out of every wall it
+// overlaps and removes the velocity component pointing into the wall.
+function resolveCircleAgainstWalls(p, wallList) {
+  for (const w of wallList) {
+    if (w.points && Array.isArray(w.points)) {
+      let minOverlap = Infinity, push = null;
+      for (let i = 0; i < w.points.length; i++) {
+        const a = w.points[i];
+        const b = w.points[(i+1) % w.points.length];
+        const vx = b.x - a.x, vy = b.y - a.y;
+        const wx = p.x - a.x, wy = p.y - a.y;
+        const dv = vx*vx + vy*vy;
+        let t = dv > 0 ? (wx*vx + wy*vy)/dv : 0;
+        t = Math.max(0, Math.min(1, t));
+        const cx = a.x + vx * t, cy = a.y + vy * t;
+        const dx = p.x - cx, dy = p.y - cy;
+        const d = Math.hypot(dx, dy);
+        const overlap = p.radius - d;
+        if (overlap > 0 && overlap < minOverlap) {
+          minOverlap = overlap;
+          let nx = -vy, ny = vx; const nlen = Math.hypot(nx, ny) || 1; nx /= nlen; ny /= nlen;
+          const sampleX = cx + nx * 2, sampleY = cy + ny * 2;
+          let inside = false;
+          for (let ii = 0, jj = w.points.length - 1; ii < w.points.length; jj = ii++) {
+            const xi = w.points[ii].x, yi = w.points[ii].y;
+            const xj = w.points[jj].x, yj = w.points[jj].y;
+            const inter = ((yi > sampleY) !== (yj > sampleY)) && (sampleX < (xj - xi) * (sampleY - yi) / (yj - yi + 0.0) + xi);
+            if (inter) inside = !inside;
+          }
+          if (inside) { nx = -nx; ny = -ny; }
+          push = { nx, ny, overlap: minOverlap };
+        }
+      }
+      if (push) {
+        p.x += push.nx * push.overlap;
+        p.y += push.ny * push.overlap;
+        const vn = p.vx * push.nx + p.vy * push.ny;
+        if (vn > 0) { p.vx -= vn * push.nx; p.vy -= vn * push.ny; }
+      }
+    } else {
+      resolveCircleAABB(p, w);
     }
   }
 }
 
-// --- Server tick ---
-function serverTick() {
-  const now = nowMs();
-  
-  updateQueueCountdowns();
-  updateMatchTimers();
-  
-  for (const [id,m] of mobs.entries()) {
-    if (m.hp <= 0 && m.respawnAt && now >= m.respawnAt) {
-      mobs.delete(id); const sp = m.spawnPoint; spawnMobAt(sp, m.type);
+function resolveMobMovement(m, world) {
+  const limit = MAP_HALF - (m.radius || 18) - 1;
+  if (m.x > limit) m.x = limit; if (m.x < -limit) m.x = -limit; if (m.y > limit) m.y = limit; if (m.y < -limit) m.y = -limit;
+  resolveCircleAgainstWalls(m, world.walls);
+}
+
+// Polygon outline for any wall shape (AABB walls are converted once and cached).
+function wallPolygon(w) {
+  if (w.points && Array.isArray(w.points)) return w.points;
+  if (!w._poly) w._poly = [{ x: w.x, y: w.y }, { x: w.x + w.w, y: w.y }, { x: w.x + w.w, y: w.y + w.h }, { x: w.x, y: w.y + w.h }];
+  return w._poly;
+}
+
+// Earliest crossing of the segment (x0,y0)->(x1,y1) with any wall edge.
+// Returns { t, x, y, nx, ny } with t in [0,1] along the segment and (nx, ny)
+// the unit normal of the edge that was hit, or null if the path is clear.
+function sweepSegmentAgainstWalls(x0, y0, x1, y1, wallList) {
+  const dx = x1 - x0, dy = y1 - y0;
+  let best = null;
+  for (const w of wallList) {
+    const poly = wallPolygon(w);
+    for (let i = 0; i < poly.length; i++) {
+      const a = poly[i], b = poly[(i + 1) % poly.length];
+      const ex = b.x - a.x, ey = b.y - a.y;
+      const denom = dx * ey - dy * ex;
+      if (Math.abs(denom) < 1e-9) continue;
+      const t = ((a.x - x0) * ey - (a.y - y0) * ex) / denom;
+      const u = ((a.x - x0) * dy - (a.y - y0) * dx) / denom;
+      if (t < 0 || t > 1 || u < 0 || u > 1) continue;
+      if (best && t >= best.t) continue;
+      const elen = Math.hypot(ex, ey) || 1;
+      best = { t, x: x0 + dx * t, y: y0 + dy * t, nx: -ey / elen, ny: ex / elen };
     }
   }
+  return best;
+}
+
+// --- Match objectives ---
+// Modes with an `objective` in MATCH_MODES get match.objective = { kind, ... }
+// from OBJECTIVES[kind].init(match). Each tick OBJECTIVES[kind].tick(match, now)
+// runs after movement and may call requestMatchEnd; snapshot(match, now) is sent
+// to every client in snapshots (only when it changed) and results(match) ends
+// up in match_ended. An objective may also define respawn(match, p) to decide
+// whether a dead player comes back, and playerScore(match, p) to rank players
+// for ratings (higher is better).
+//
+// Scores belong to a "side": the team in team modes, the player otherwise.
+function sideOf(p) {
+  return p.team != null ? 't' + p.team : String(p.id);
+}
+
+function sideName(match, side) {
+  if (side[0] === 't' && match.teams) {
+    const team = match.teams[Number(side.slice(1))];
+    if (team) return team.name;
+  }
+  const p = match.players.get(side);
+  return p ? p.name : side;
+}
 
-  for (const m of mobs.values()) {
-    if (m.hp <= 0) continue;
-    if (m.stunnedUntil && now < m.stunnedUntil) {
-      m.vx *= 0.8; m.vy *= 0.8; continue;
+// Scores as sent to clients, best first.
+function sideScores(match, scores) {
+  return Object.keys(scores)
+    .map(side => ({ side, name: sideName(match, side), score: Math.floor(scores[side]) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function requestMatchEnd(match, reason) {
+  if (!match.endReason) match.endReason = reason;
+}
+
+// Players refused a respawn are marked eliminated and sit out the match.
+function playerMayRespawn(match, p) {
+  const modeDef = MATCH_MODES[match.mode] || MATCH_MODES.ffa;
+  if (modeDef.permadeath) return false;
+  const kind = match.objective && OBJECTIVES[match.objective.kind];
+  return kind && kind.respawn ? kind.respawn(match, p) : true;
+}
+
+// King of the hill: KOTH_ZONE_COUNT circular zones in open maze cells. A side
+// captures a zone by being the only one inside for KOTH_CAPTURE_MS; a zone
+// with several sides inside is contested and frozen. Owned zones earn their
+// owner KOTH_POINTS_PER_SEC each, and the first side to KOTH_SCORE_CAP wins.
+const KOTH_ZONE_COUNT = 3;
+const KOTH_ZONE_RADIUS = CELL * 0.3;
+const KOTH_CAPTURE_MS = 5000;
+const KOTH_POINTS_PER_SEC = 1;
+const KOTH_SCORE_CAP = 150;
+
+// Picks zone centres among maze cell centres with room for the whole zone,
+// spread out by always taking the candidate farthest from those chosen.
+function placeControlZones(count, radius, rng = Math.random) {
+  const candidates = [];
+  for (let col = 1; col <= 12; col++) {
+    for (let row = 1; row <= 12; row++) {
+      const c = gridToWorldCenter(col, row);
+      if (!pointInsideWall(c.x, c.y) && distanceToWallEdges(c.x, c.y) >= radius) candidates.push(c);
     }
-    let target = null, bestD = Infinity;
-    for (const p of players.values()) {
-      if (p.hp <= 0) continue;
-      const d = Math.hypot(m.x - p.x, m.y - p.y);
-      if (d < m.aggroRadius && d < bestD) { bestD = d; target = p; }
+  }
+  if (!candidates.length) return [];
+  const chosen = [candidates[Math.floor(rng() * candidates.length)]];
+  while (chosen.length < count && chosen.length < candidates.length) {
+    let best = null, bestD = -1;
+    for (const c of candidates) {
+      const d = Math.min(...chosen.map(z => Math.hypot(z.x - c.x, z.y - c.y)));
+      if (d > bestD) { best = c; bestD = d; }
     }
-    if (target) {
-      const dx = target.x - m.x, dy = target.y - m.y, len = Math.hypot(dx,dy)||1;
-      const spd = m.def.speed; m.vx = (dx/len)*spd; m.vy = (dy/len)*spd; m.x += m.vx * TICK_DT; m.y += m.vy * TICK_DT;
-      const minDist = m.radius + target.radius + 6;
-      if (Math.hypot(m.x - target.x, m.y - target.y) <= minDist) {
-        const dmg = m.def.atk * TICK_DT * 0.8;
-        if (now >= (target.invulnerableUntil || 0)) { target.hp -= dmg; if (target.hp <= 0) handlePlayerDeath(target, m); }
-      }
-    } else { m.vx *= 0.9; m.vy *= 0.9; m.x += m.vx * TICK_DT; m.y += m.vy * TICK_DT; }
+    chosen.push(best);
   }
+  return chosen.map((c, i) => ({
+    id: 'zone_' + (i + 1), x: Math.round(c.x), y: Math.round(c.y), radius: Math.round(radius),
+    owner: null, capturingSide: null, progress: 0, contested: false
+  }));
+}
 
-  for (const p of players.values()) {
-    const nowMsVal = nowMs();
-    p.buffs = (p.buffs || []).filter(b => b.until > nowMsVal);
-    let speedMultiplier = 1.0; let damageMultiplier = 1.0;
-    for (const b of p.buffs) { speedMultiplier *= (b.multiplier || 1); if (b.type === 'damage') damageMultiplier *= (b.multiplier || 1); }
+// Battle royale: a safe circle that starts around the whole map and shrinks in
+// ROYALE_STAGES toward a random open point. Stage timings are fractions of the
+// match's duration, like BOSS_SCHEDULE; radiusPct is relative to the starting
+// radius and damagePct is the share of maxHp lost per second outside the
+// circle once that stage has begun. Every stage's circle lies inside the
+// previous one, and the last has radius 0 so the match always ends.
+const ROYALE_STAGES = [
+  { shrinkAtPct: 0.1, shrinkEndPct: 0.25, radiusPct: 0.55, damagePct: 0.02 },
+  { shrinkAtPct: 0.35, shrinkEndPct: 0.5, radiusPct: 0.3, damagePct: 0.05 },
+  { shrinkAtPct: 0.6, shrinkEndPct: 0.7, radiusPct: 0.12, damagePct: 0.1 },
+  { shrinkAtPct: 0.8, shrinkEndPct: 0.9, radiusPct: 0, damagePct: 0.2 }
+];
+const ROYALE_DAMAGE_INTERVAL_MS = 1000;
 
-    damageMultiplier = damageMultiplier * (p.damageMul || 1.0);
+function randomOpenPoint(limit, rng = Math.random) {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const x = (rng() * 2 - 1) * limit;
+    const y = (rng() * 2 - 1) * limit;
+    if (isCellOpen(navGrid, cellIndexAt(navGrid, x, y)) && !pointInsideWall(x, y, 50)) return { x, y };
+  }
+  return bottomLeftSpawn();
+}
 
-    if (p.stunnedUntil && nowMsVal < p.stunnedUntil) { p.vx = 0; p.vy = 0; p.lastSeen = now; continue; }
+// circles[i] is the safe zone before stage i shrinks it into circles[i + 1].
+// Each centre moves toward the final point by at most the radius lost, which
+// keeps every circle inside the one before it.
+function planRoyaleCircles(end) {
+  const r0 = MAP_HALF * Math.SQRT2;
+  const circles = [{ x: 0, y: 0, radius: r0 }];
+  for (const stage of ROYALE_STAGES) {
+    const prev = circles[circles.length - 1];
+    const radius = r0 * stage.radiusPct;
+    const dx = end.x - prev.x, dy = end.y - prev.y;
+    const dist = Math.hypot(dx, dy);
+    const step = dist > 0 ? Math.min(1, (prev.radius - radius) / dist) : 0;
+    circles.push({ x: prev.x + dx * step, y: prev.y + dy * step, radius });
+  }
+  return circles;
+}
 
-    const inVec = p.lastInput || { x:0, y:0 };
-    const speed = (p.baseSpeed || 380) * speedMultiplier;
-    const vx = inVec.x * speed, vy = inVec.y * speed;
-    p.x += vx * TICK_DT; p.y += vy * TICK_DT;
-    p.vx = vx; p.vy = vy;
-    const limit = MAP_HALF - p.radius - 1;
-    if (p.x > limit) p.x = limit; if (p.x < -limit) p.x = -limit; if (p.y > limit) p.y = limit; if (p.y < -limit) p.y = -limit;
-    for (const w of walls) {
-      if (w.points && Array.isArray(w.points)) {
-        let minOverlap = Infinity, push = null;
-        for (let i = 0; i < w.points.length; i++) {
-          const a = w.points[i];
-          const b = w.points[(i+1) % w.points.length];
-          const vx = b.x - a.x, vy = b.y - a.y;
-          const wx = p.x - a.x, wy = p.y - a.y;
-          const dv = vx*vx + vy*vy;
-          let t = dv > 0 ? (wx*vx + wy*vy)/dv : 0;
-          t = Math.max(0, Math.min(1, t));
-          const cx = a.x + vx * t, cy = a.y + vy * t;
-          const dx = p.x - cx, dy = p.y - cy;
-          const d = Math.hypot(dx, dy);
-          const overlap = p.radius - d;
-          if (overlap > 0 && overlap < minOverlap) {
-            minOverlap = overlap;
-            let nx = -vy, ny = vx; const nlen = Math.hypot(nx, ny) || 1; nx /= nlen; ny /= nlen;
-            const sampleX = cx + nx * 2, sampleY = cy + ny * 2;
-            let inside = false;
-            for (let ii = 0, jj = w.points.length - 1; ii < w.points.length; jj = ii++) {
-              const xi = w.points[ii].x, yi = w.points[ii].y;
-              const xj = w.points[jj].x, yj = w.points[jj].y;
-              const inter = ((yi > sampleY) !== (yj > sampleY)) && (sampleX < (xj - xi) * (sampleY - yi) / (yj - yi + 0.0) + xi);
-              if (inter) inside = !inside;
+// The safe circle at `now`, the circle it is heading for, and stage timing.
+function royaleZoneAt(match, now) {
+  const obj = match.objective;
+  const t0 = match.startedAt || now;
+  for (let i = 0; i < ROYALE_STAGES.length; i++) {
+    const stage = ROYALE_STAGES[i];
+    const startAt = t0 + stage.shrinkAtPct * match.durationMs;
+    const endAt = t0 + stage.shrinkEndPct * match.durationMs;
+    const from = obj.circles[i], to = obj.circles[i + 1];
+    const damagePct = i > 0 ? ROYALE_STAGES[i - 1].damagePct : 0;
+    if (now < startAt) return { stage: i, zone: from, next: to, nextShrinkAt: startAt, shrinkEndsAt: endAt, damagePct };
+    if (now < endAt) {
+      const k = (now - startAt) / (endAt - startAt);
+      const zone = { x: from.x + (to.x - from.x) * k, y: from.y + (to.y - from.y) * k, radius: from.radius + (to.radius - from.radius) * k };
+      return { stage: i, zone, next: to, nextShrinkAt: null, shrinkEndsAt: endAt, damagePct: stage.damagePct };
+    }
+  }
+  const last = ROYALE_STAGES.length;
+  return { stage: last, zone: obj.circles[last], next: null, nextShrinkAt: null, shrinkEndsAt: null, damagePct: ROYALE_STAGES[last - 1].damagePct };
+}
+
+// Wave survival: a director spawns waves of hunters (see pickMobTarget) with a
+// spawn budget that grows per wave and per player. Each mob costs its def's xp;
+// bosses join every WAVE_BOSS_EVERY waves. Mob hp/atk grow by WAVE_HP_GROWTH /
+// WAVE_ATK_GROWTH per wave. A wave is cleared when all its mobs are dead, then
+// the next one follows after WAVE_INTERMISSION_MS. The team shares a pool of
+// lives; once it is empty the dead stay dead, and the match ends when nobody
+// is left standing.
+const WAVE_FIRST_DELAY_MS = 5000;
+const WAVE_INTERMISSION_MS = 12000;
+const WAVE_BASE_BUDGET = 80;
+const WAVE_BUDGET_GROWTH = 0.35; // extra budget per wave after the first
+const WAVE_PLAYER_BUDGET = 0.5; // extra budget per player after the first
+const WAVE_MAX_MOBS = 40;
+const WAVE_HP_GROWTH = 0.15;
+const WAVE_ATK_GROWTH = 0.08;
+const WAVE_BOSS_EVERY = 5;
+const WAVE_LIVES_PER_PLAYER = 2;
+
+// Mob types making up wave `n`.
+function composeWave(n, playerCount, rng = Math.random) {
+  const types = Object.keys(mobDefs).filter(t => !mobDefs[t].boss);
+  let budget = WAVE_BASE_BUDGET * (1 + WAVE_BUDGET_GROWTH * (n - 1)) * (1 + WAVE_PLAYER_BUDGET * Math.max(0, playerCount - 1));
+  const wave = [];
+  if (n % WAVE_BOSS_EVERY === 0) {
+    for (const t in mobDefs) if (mobDefs[t].boss) wave.push(t);
+  }
+  while (wave.length < WAVE_MAX_MOBS) {
+    const affordable = types.filter(t => mobDefs[t].xp <= budget);
+    if (!affordable.length) break;
+    const t = affordable[Math.floor(rng() * affordable.length)];
+    budget -= mobDefs[t].xp;
+    wave.push(t);
+  }
+  return wave;
+}
+
+function startWave(match) {
+  const obj = match.objective;
+  const n = ++obj.wave;
+  const hpMul = 1 + WAVE_HP_GROWTH * (n - 1);
+  const atkMul = 1 + WAVE_ATK_GROWTH * (n - 1);
+  const types = composeWave(n, match.players.size, match.world.rng);
+  for (const type of types) {
+    const sp = mobSpawnPoints[Math.floor(match.world.rng() * mobSpawnPoints.length)];
+    const m = spawnMobAt(match.world, sp, type);
+    if (!m) continue;
+    joinWave(m, n, hpMul, atkMul);
+    if (m.def.boss) {
+      broadcastToMatch(match.id, { t: 'boss_spawned', mobId: m.id, mobType: m.type, name: m.def.name, x: Math.round(m.x), y: Math.round(m.y), maxHp: m.maxHp });
+    }
+  }
+  obj.phase = 'active';
+  obj.nextWaveAt = null;
+  broadcastToMatch(match.id, { t: 'wave_started', wave: n, mobCount: types.length, hpMul, atkMul });
+}
+
+// Makes `m` part of wave `n`, scaled like the rest of it. Also used for mobs a
+// wave boss summons, so they count towards clearing the wave.
+function joinWave(m, n, hpMul, atkMul) {
+  m.wave = n;
+  m.hunter = true;
+  m.maxHp = Math.round(m.maxHp * hpMul);
+  m.hp = m.maxHp;
+  m.atk *= atkMul;
+  m.hpMul = hpMul;
+  m.atkMul = atkMul;
+}
+
+function waveMobsLeft(match) {
+  let left = 0;
+  for (const m of match.world.mobs.values()) if (m.wave === match.objective.wave && m.hp > 0) left++;
+  return left;
+}
+
+const roundCircle = (c) => (c ? { x: Math.round(c.x), y: Math.round(c.y), radius: Math.round(c.radius) } : null);
+
+const OBJECTIVES = {
+  koth: {
+    init(match) {
+      return { kind: 'koth', zones: placeControlZones(KOTH_ZONE_COUNT, KOTH_ZONE_RADIUS, match.world.rng), scores: {}, scoreCap: KOTH_SCORE_CAP };
+    },
+    tick(match, now) {
+      const obj = match.objective;
+      const dt = TICK_DT;
+      for (const z of obj.zones) {
+        const sides = new Set();
+        for (const p of playersNear(match.world, z.x, z.y, z.radius)) {
+          if (p.hp > 0 && Math.hypot(p.x - z.x, p.y - z.y) <= z.radius) sides.add(sideOf(p));
+        }
+        z.contested = sides.size > 1;
+        if (sides.size === 1) {
+          const side = sides.values().next().value;
+          if (z.owner !== side) {
+            if (z.capturingSide !== side) { z.capturingSide = side; z.progress = 0; }
+            z.progress = Math.min(1, z.progress + dt * 1000 / KOTH_CAPTURE_MS);
+            if (z.progress >= 1) {
+              z.owner = side;
+              z.capturingSide = null;
+              z.progress = 0;
+              broadcastToMatch(match.id, { t: 'zone_captured', zoneId: z.id, side, name: sideName(match, side) });
             }
-            if (inside) { nx = -nx; ny = -ny; }
-            push = { nx, ny, overlap: minOverlap };
           }
         }
-        if (push) {
-          p.x += push.nx * push.overlap;
-          p.y += push.ny * push.overlap;
-          const vn = p.vx * push.nx + p.vy * push.ny;
-          if (vn > 0) { p.vx -= vn * push.nx; p.vy -= vn * push.ny; }
+        if (z.owner) obj.scores[z.owner] = (obj.scores[z.owner] || 0) + KOTH_POINTS_PER_SEC * dt;
+      }
+      for (const side in obj.scores) {
+        if (obj.scores[side] >= obj.scoreCap) { requestMatchEnd(match, 'score_cap'); break; }
+      }
+    },
+    snapshot(match) {
+      const obj = match.objective;
+      return {
+        kind: obj.kind, scoreCap: obj.scoreCap, scores: sideScores(match, obj.scores),
+        zones: obj.zones.map(z => ({ id: z.id, x: z.x, y: z.y, radius: z.radius, owner: z.owner, capturingSide: z.capturingSide, progress: Math.round(z.progress * 100), contested: z.contested }))
+      };
+    },
+    results(match) {
+      const snap = OBJECTIVES.koth.snapshot(match);
+      snap.winner = snap.scores.length ? snap.scores[0].side : null;
+      return snap;
+    },
+    playerScore(match, p) {
+      return match.objective.scores[sideOf(p)] || 0;
+    }
+  },
+  royale: {
+    init(match) {
+      const end = randomOpenPoint(MAP_HALF - CELL, match.world.rng);
+      return {
+        kind: 'royale', circles: planRoyaleCircles(end), entrants: Array.from(match.players.keys()),
+        eliminated: new Set(), placements: [], nextDamageAt: 0
+      };
+    },
+    tick(match, now) {
+      const obj = match.objective;
+      if (now >= obj.nextDamageAt) {
+        obj.nextDamageAt = now + ROYALE_DAMAGE_INTERVAL_MS;
+        const { zone: z, damagePct } = royaleZoneAt(match, now);
+        for (const p of match.players.values()) {
+          if (p.hp <= 0 || damagePct <= 0 || Math.hypot(p.x - z.x, p.y - z.y) <= z.radius) continue;
+          applyDamageToPlayer(p, p.maxHp * damagePct * ROYALE_DAMAGE_INTERVAL_MS / 1000, null);
         }
-      } else {
-        resolveCircleAABB(p, w);
       }
+      // Players who died or left this tick share the placement below everyone
+      // still alive.
+      const out = obj.entrants.filter(id => !obj.eliminated.has(id) && (!match.players.has(id) || match.players.get(id).hp <= 0));
+      if (!out.length) return;
+      const remaining = obj.entrants.length - obj.eliminated.size - out.length;
+      for (const id of out) {
+        obj.eliminated.add(id);
+        const p = match.players.get(id);
+        const entry = { playerId: id, name: p ? p.name : id, placement: remaining + 1 };
+        obj.placements.push(entry);
+        broadcastToMatch(match.id, { t: 'player_eliminated', id, name: entry.name, placement: entry.placement, remaining });
+      }
+      if (remaining <= 1) requestMatchEnd(match, 'last_standing');
+    },
+    snapshot(match, now = match.world.time) {
+      const obj = match.objective;
+      const z = royaleZoneAt(match, now);
+      return {
+        kind: obj.kind, zone: roundCircle(z.zone), nextZone: roundCircle(z.next), stage: z.stage,
+        nextShrinkAt: z.nextShrinkAt != null ? Math.round(z.nextShrinkAt) : null,
+        shrinkEndsAt: z.shrinkEndsAt != null ? Math.round(z.shrinkEndsAt) : null,
+        damagePct: Math.round(z.damagePct * 100), alive: obj.entrants.length - obj.eliminated.size
+      };
+    },
+    results(match) {
+      const obj = match.objective;
+      const snap = OBJECTIVES.royale.snapshot(match);
+      const survivors = obj.entrants.filter(id => !obj.eliminated.has(id));
+      snap.winner = survivors.length === 1 ? survivors[0] : null;
+      snap.placements = survivors
+        .map(id => ({ playerId: id, name: match.players.has(id) ? match.players.get(id).name : id, placement: 1 }))
+        .concat([...obj.placements].reverse());
+      return snap;
+    },
+    playerScore(match, p) {
+      const entry = match.objective.placements.find(e => e.playerId === p.id);
+      return entry ? -entry.placement : -1;
+    }
+  },
+  waves: {
+    init(match) {
+      return {
+        kind: 'waves', wave: 0, wavesSurvived: 0, phase: 'intermission', nextWaveAt: null,
+        lives: WAVE_LIVES_PER_PLAYER * match.players.size
+      };
+    },
+    tick(match, now) {
+      const obj = match.objective;
+      if (obj.phase === 'intermission') {
+        if (obj.nextWaveAt == null) obj.nextWaveAt = now + WAVE_FIRST_DELAY_MS;
+        if (now >= obj.nextWaveAt) startWave(match);
+      } else if (waveMobsLeft(match) === 0) {
+        obj.wavesSurvived = obj.wave;
+        obj.phase = 'intermission';
+        obj.nextWaveAt = now + WAVE_INTERMISSION_MS;
+        broadcastToMatch(match.id, { t: 'wave_cleared', wave: obj.wave, nextWaveAt: obj.nextWaveAt, lives: obj.lives });
+      }
+      const team = Array.from(match.players.values());
+      if (team.length && team.every(p => p.eliminated)) requestMatchEnd(match, 'wiped');
+    },
+    respawn(match, p) {
+      const obj = match.objective;
+      if (obj.lives <= 0) return false;
+      obj.lives--;
+      return true;
+    },
+    snapshot(match) {
+      const obj = match.objective;
+      return {
+        kind: obj.kind, wave: obj.wave, wavesSurvived: obj.wavesSurvived, phase: obj.phase,
+        nextWaveAt: obj.nextWaveAt != null ? Math.round(obj.nextWaveAt) : null,
+        mobsLeft: match.world && obj.phase === 'active' ? waveMobsLeft(match) : 0, lives: obj.lives
+      };
+    },
+    results(match) {
+      return OBJECTIVES.waves.snapshot(match);
+    }
+  }
+};
+
+// Teams by total member kills, best first.
+function teamLeaderboard(match) {
+  const killsOf = (id) => { const e = match.leaderboard.find(l => l.playerId === id); return e ? e.kills : 0; };
+  return match.teams
+    .map(t => ({ team: t.id, name: t.name, kills: t.playerIds.reduce((sum, id) => sum + killsOf(id), 0), playerIds: t.playerIds }))
+    .sort((a, b) => b.kills - a.kills);
+}
+
+// Updates the rating of everyone still in a rated match and sends each their
+// delta. Players are scored by the objective when it ranks them, otherwise by
+// team kills in team modes and by their own kills in free-for-all.
+function applyMatchRatings(match) {
+  if (!match.rated || match.players.size < 2) return;
+  const kind = match.objective && OBJECTIVES[match.objective.kind];
+  const teamKills = match.teams ? new Map(teamLeaderboard(match).map(t => [t.team, t.kills])) : null;
+  const killsOf = (id) => { const e = match.leaderboard.find(l => l.playerId === id); return e ? e.kills : 0; };
+  const entries = Array.from(match.players.values()).map(p => ({
+    id: p.id, rating: p.rating, games: p.ratedGames, team: p.team,
+    score: kind && kind.playerScore ? kind.playerScore(match, p) : (teamKills && p.team != null ? teamKills.get(p.team) : killsOf(p.id))
+  }));
+  const deltas = rating.rateMatch(entries);
+  for (const p of match.players.values()) {
+    const delta = deltas.get(p.id);
+    p.rating += delta;
+    p.ratedGames++;
+    sendToSocket(p.ws, { t: 'rating_update', matchId: match.id, rating: p.rating, delta, games: p.ratedGames });
+  }
+}
+
+// Ids of the players who won: the objective's winning side, else the team
+// with the most kills, else the single top killer. Survival is won by
+// outlasting the clock.
+function matchWinnerIds(match, reason) {
+  const all = Array.from(match.players.values());
+  const kind = match.objective && match.objective.kind;
+  if (kind === 'waves') return reason === 'wiped' ? [] : all.map(p => p.id);
+  if (kind) {
+    const winner = OBJECTIVES[kind].results(match).winner;
+    return winner == null ? [] : all.filter(p => sideOf(p) === winner).map(p => p.id);
+  }
+  if (match.teams) {
+    const [first, second] = teamLeaderboard(match);
+    return first && first.kills > 0 && (!second || first.kills > second.kills) ? first.playerIds : [];
+  }
+  const [first, second] = [...match.leaderboard].sort((a, b) => b.kills - a.kills);
+  return first && first.kills > 0 && (!second || first.kills > second.kills) ? [first.playerId] : [];
+}
+
+// Folds the match into every signed-in player's profile, saves it and sends
+// them the result. Guests are skipped.
+function recordAccountResults(match, reason) {
+  const winners = new Set(matchWinnerIds(match, reason));
+  for (const p of match.players.values()) {
+    if (!p.account) continue;
+    const unlocked = accounts.recordMatch(p.account, {
+      kills: p.kills, deaths: p.deaths, won: winners.has(p.id),
+      rating: match.rated ? p.rating : undefined, ratedGames: p.ratedGames
+    });
+    p.account.preferredClass = p.class;
+    accountStore.save(p.account).catch(err => console.error('Failed to save account', p.account.id, err));
+    sendToSocket(p.ws, { t: 'profile', matchId: match.id, profile: accounts.profileView(p.account), unlocked });
+  }
+}
+
+// `reason` is 'time' when the match duration ran out, otherwise whatever the
+// objective passed to requestMatchEnd.
+function endMatch(match, reason) {
+  const matchId = match.id;
+  const now = nowMs();
+  console.log(`🏁 Match ${matchId} ended (${reason})`);
+  match.state = 'ended';
+  
+  // Sort leaderboard by kills (descending)
+  const sortedLeaderboard = [...match.leaderboard].sort((a, b) => b.kills - a.kills);
+  
+  broadcastToMatch(matchId, {
+    t: 'match_ended',
+    matchId,
+    reason,
+    leaderboard: sortedLeaderboard,
+    teams: match.teams ? teamLeaderboard(match) : null,
+    objective: match.objective ? OBJECTIVES[match.objective.kind].results(match) : null,
+    endTime: now
+  });
+  finishReplay(match, reason);
+  applyMatchRatings(match);
+  recordAccountResults(match, reason);
+  for (const p of match.players.values()) p.name = p.baseName;
+  
+  // Tear down the match's mobs/projectiles right away; the match record
+  // itself is kept around a little longer for late result lookups.
+  destroyMatchWorld(match);
+  // Spectators already got 'match_ended'.
+  for (const p of Array.from(match.spectators.values())) stopSpectating(p, null);
+  
+  // Clean up match from tracking
+  setTimeout(() => {
+    matches.delete(matchId);
+  }, 60000);
+}
+
+function updateMatchTimers() {
+  for (const match of matches.values()) {
+    if (match.state !== 'in_game') continue;
+    
+    const now = match.world ? match.world.time : nowMs();
+    const elapsed = now - match.startedAt;
+    const remaining = match.durationMs - elapsed;
+    
+    if (match.endReason) endMatch(match, match.endReason);
+    else if (remaining <= 0) endMatch(match, 'time');
+  }
+}
+
+// --- Mob targeting / movement ---
+// A mob keeps chasing the player it locked onto until that player dies, gets
+// more than aggroRadius * MOB_CHASE_RADIUS_MUL away, or leaves the mob's leash
+// circle around its home; then it walks home before picking a new target.
+// Hunters (wave mobs) have no home and always go for the closest living player.
+function pickMobTarget(m, world, now) {
+  if (m.hunter) {
+    let best = null, bestD = Infinity;
+    for (const p of world.players.values()) {
+      const d = Math.hypot(p.x - m.x, p.y - m.y);
+      if (p.hp > 0 && d < bestD) { best = p; bestD = d; }
+    }
+    m.targetId = best ? best.id : null;
+    return best;
+  }
+  const leashOk = (p) => Math.hypot(p.x - m.homeX, p.y - m.homeY) <= MOB_LEASH_RADIUS;
+  if (m.targetId) {
+    const cur = world.players.get(m.targetId);
+    const stillValid = cur && cur.hp > 0 && leashOk(cur) &&
+      Math.hypot(cur.x - m.x, cur.y - m.y) <= m.aggroRadius * MOB_CHASE_RADIUS_MUL &&
+      Math.hypot(m.x - m.homeX, m.y - m.homeY) <= MOB_LEASH_RADIUS;
+    if (stillValid) return cur;
+    m.targetId = null;
+    m.path = null;
+    setMobState(m, world, 'return', now);
+    return null;
+  }
+  const nearest = nearestPlayer(world, m.x, m.y, m.aggroRadius, (p, d) => p.hp > 0 && d < m.aggroRadius && leashOk(p));
+  if (!nearest) return null;
+  m.targetId = nearest.ent.id;
+  return nearest.ent;
+}
+
+// Moves a mob one tick toward (tx, ty): straight when nothing blocks the line,
+// otherwise along an A* path over the nav grid. Paths are re-planned at most
+// every MOB_REPLAN_MS per mob (and only when the goal changed cell or the
+// path ran out), within the world's per-tick search budget.
+function steerMobToward(m, world, tx, ty, now, speedMul = 1) {
+  let wx = tx, wy = ty;
+  if (sweepSegmentAgainstWalls(m.x, m.y, tx, ty, world.walls)) {
+    const nav = world.nav;
+    const goalCell = cellIndexAt(nav, tx, ty);
+    const stale = !m.path || m.pathIndex >= m.path.length || m.pathGoalCell !== goalCell;
+    if (stale && now >= m.nextReplanAt && world.pathBudget > 0) {
+      world.pathBudget--;
+      m.path = findPath(nav, m.x, m.y, tx, ty);
+      m.pathIndex = 0;
+      m.pathGoalCell = goalCell;
+      // Jitter spreads re-plans of a pack chasing the same player over ticks.
+      m.nextReplanAt = now + MOB_REPLAN_MS + world.rng() * 200;
+    }
+    if (m.path) {
+      while (m.pathIndex < m.path.length && Math.hypot(m.path[m.pathIndex].x - m.x, m.path[m.pathIndex].y - m.y) < MOB_WAYPOINT_RADIUS) m.pathIndex++;
+      if (m.pathIndex < m.path.length) { wx = m.path[m.pathIndex].x; wy = m.path[m.pathIndex].y; }
+    }
+  } else {
+    m.path = null;
+  }
+  const dx = wx - m.x, dy = wy - m.y, len = Math.hypot(dx, dy) || 1;
+  const spd = m.speed * speedMul;
+  m.vx = (dx/len)*spd; m.vy = (dy/len)*spd;
+  m.x += m.vx * TICK_DT; m.y += m.vy * TICK_DT;
+  resolveMobMovement(m, world);
+}
+
+// --- Mob behaviour ---
+// Every mob runs a small state machine driven by its def:
+//   idle / wander / patrol  no target; stand still or roam around home (behavior.idle)
+//   chase / attack          walk to the locked target; in contact range it deals
+//                           atk * TICK_DT * 0.8 per tick
+//   flee                    once per life, below behavior.fleeBelowHpPct hp, run
+//                           away from the target for behavior.fleeMs
+//   return                  leash broke (see pickMobTarget); walk home ignoring players
+// While chasing, a ready ability from m.abilities whose range fits is started;
+// a running ability (m.ability) owns the mob until it ends or a stun interrupts
+// it. State changes go out as 'mob_state', ability phases as 'mob_ability'.
+const MOB_ROAM_SPEED_MUL = 0.45;
+const MOB_FLEE_SPEED_MUL = 1.15;
+const MOB_ROAM_PAUSE_MS = 1500; // average pause between roam legs
+const MOB_ROAM_LEG_MS = 8000; // a roam leg that has not arrived by then is abandoned
+
+function idleStateOf(m) {
+  return (m.def.behavior && m.def.behavior.idle) || 'idle';
+}
+
+function setMobState(m, world, state, now) {
+  if (m.state === state) return;
+  m.state = state;
+  m.stateSince = now;
+  broadcastToMatch(world.matchId, { t: 'mob_state', mobId: m.id, state, targetId: m.targetId || null });
+}
+
+function driftMob(m, world) {
+  // A mob at rest was already pushed out of walls when it stopped.
+  if (m.vx === 0 && m.vy === 0) return;
+  m.vx *= 0.9; m.vy *= 0.9;
+  if (Math.abs(m.vx) < 1 && Math.abs(m.vy) < 1) { m.vx = 0; m.vy = 0; }
+  m.x += m.vx * TICK_DT; m.y += m.vy * TICK_DT;
+  resolveMobMovement(m, world);
+}
+
+// Next roam destination: a random open point near home for 'wander', the next
+// corner of a square around home for 'patrol'. Null if none is open.
+function pickRoamPoint(m, world) {
+  const b = m.def.behavior || {};
+  for (let attempt = 0; attempt < 4; attempt++) {
+    let x, y;
+    if (m.state === 'patrol') {
+      m.patrolIndex = ((m.patrolIndex || 0) + 1) % 4;
+      const a = m.patrolIndex * Math.PI / 2 + Math.PI / 4;
+      x = m.homeX + Math.cos(a) * (b.patrolRadius || 300);
+      y = m.homeY + Math.sin(a) * (b.patrolRadius || 300);
+    } else {
+      const a = world.rng() * Math.PI * 2, r = world.rng() * (b.wanderRadius || 300);
+      x = m.homeX + Math.cos(a) * r;
+      y = m.homeY + Math.sin(a) * r;
+    }
+    if (Math.abs(x) < MAP_HALF - m.radius && Math.abs(y) < MAP_HALF - m.radius && isCellOpen(world.nav, cellIndexAt(world.nav, x, y))) return { x, y };
+  }
+  return null;
+}
+
+// Roaming is cosmetic, so mobs nobody can see stay put instead of path-finding.
+function roamMob(m, world, now) {
+  if (m.state === 'idle' || !nearestPlayer(world, m.x, m.y, VIEW_RADIUS, (p, d) => d <= VIEW_RADIUS)) { driftMob(m, world); return; }
+  if (!m.roamTarget) {
+    if (now < (m.roamWaitUntil || 0)) { driftMob(m, world); return; }
+    m.roamTarget = pickRoamPoint(m, world);
+    m.roamGiveUpAt = now + MOB_ROAM_LEG_MS;
+    if (!m.roamTarget) { m.roamWaitUntil = now + MOB_ROAM_PAUSE_MS; driftMob(m, world); return; }
+  }
+  steerMobToward(m, world, m.roamTarget.x, m.roamTarget.y, now, MOB_ROAM_SPEED_MUL);
+  if (Math.hypot(m.roamTarget.x - m.x, m.roamTarget.y - m.y) <= MOB_WAYPOINT_RADIUS * 2 || now >= m.roamGiveUpAt) {
+    m.roamTarget = null;
+    m.path = null;
+    m.roamWaitUntil = now + MOB_ROAM_PAUSE_MS * (0.5 + world.rng());
+  }
+}
+
+function updateMobBehavior(m, world, now) {
+  if (m.def.phases) updateBossPhase(m, world);
+  if (m.stunnedUntil && now < m.stunnedUntil) {
+    if (m.ability) endMobAbility(m, world, 'interrupted');
+    m.vx *= 0.8; m.vy *= 0.8;
+    return;
+  }
+  if (m.ability) { m.ability.kind.update(m, world, m.ability, now); return; }
+
+  if (m.state === 'return') {
+    if (Math.hypot(m.x - m.homeX, m.y - m.homeY) > MOB_HOME_RADIUS) { steerMobToward(m, world, m.homeX, m.homeY, now); return; }
+    m.path = null; m.vx = 0; m.vy = 0;
+    setMobState(m, world, idleStateOf(m), now);
+  }
+
+  const b = m.def.behavior || {};
+  if (m.state === 'flee') {
+    const from = world.players.get(m.targetId);
+    if (!from || from.hp <= 0 || now - m.stateSince >= (b.fleeMs || 3000)) {
+      m.targetId = null; m.path = null;
+      setMobState(m, world, 'return', now);
+      return;
     }
+    const dx = m.x - from.x, dy = m.y - from.y, len = Math.hypot(dx, dy) || 1;
+    steerMobToward(m, world, m.x + dx / len * 400, m.y + dy / len * 400, now, MOB_FLEE_SPEED_MUL);
+    return;
+  }
 
-    const nowSec = Date.now()/1000;
+  const target = pickMobTarget(m, world, now);
+  if (!target) {
+    // pickMobTarget may have just switched to 'return'; walk home from next tick.
+    if (m.state === 'return') return;
+    if (m.state === 'chase' || m.state === 'attack') setMobState(m, world, idleStateOf(m), now);
+    roamMob(m, world, now);
+    return;
+  }
+  m.roamTarget = null;
+
+  if (b.fleeBelowHpPct && !m.hasFled && m.hp < m.maxHp * b.fleeBelowHpPct) {
+    m.hasFled = true; m.path = null;
+    setMobState(m, world, 'flee', now);
+    return;
+  }
+  if (tryStartMobAbility(m, world, target, now)) return;
+
+  steerMobToward(m, world, target.x, target.y, now);
+  const minDist = m.radius + target.radius + 6;
+  if (Math.hypot(m.x - target.x, m.y - target.y) <= minDist) {
+    setMobState(m, world, 'attack', now);
+    const dmg = m.atk * TICK_DT * 0.8;
+    if (now >= (target.invulnerableUntil || 0)) { target.hp -= dmg; if (target.hp <= 0) handlePlayerDeath(target, m); }
+  } else {
+    setMobState(m, world, 'chase', now);
+  }
+}
+
+// --- Mob abilities ---
+// Each ability kind has start(m, world, run, target, now), called once when the
+// ability fires, and update(m, world, run, now), called every tick after that
+// until it calls endMobAbility. `run` is m.ability: { id, def, kind, targetId,
+// phase, until, x, y, hits } with def being the ability entry from mobDefs.
+function broadcastMobAbility(m, world, run, extra) {
+  broadcastToMatch(world.matchId, Object.assign({ t: 'mob_ability', mobId: m.id, ability: run.id, phase: run.phase, x: Math.round(run.x), y: Math.round(run.y), until: run.until }, extra));
+}
+
+function endMobAbility(m, world, phase = 'end') {
+  const run = m.ability;
+  m.ability = null;
+  run.phase = phase;
+  broadcastMobAbility(m, world, run);
+}
+
+const MOB_ABILITY_KINDS = {
+  // Crouch for windupMs, then dash toward where the target stood when the
+  // windup began; the first player touched takes `damage` and ends the leap.
+  leap: {
+    start(m, world, run, target, now) {
+      run.phase = 'windup';
+      run.until = now + run.def.windupMs;
+      broadcastMobAbility(m, world, run);
+    },
+    update(m, world, run, now) {
+      const ab = run.def;
+      if (run.phase === 'windup') {
+        m.vx = 0; m.vy = 0;
+        if (now < run.until) return;
+        const dx = run.x - m.x, dy = run.y - m.y, len = Math.hypot(dx, dy) || 1;
+        m.vx = dx / len * ab.leapSpeed; m.vy = dy / len * ab.leapSpeed;
+        run.phase = 'active';
+        run.until = now + ab.leapMs;
+        broadcastMobAbility(m, world, run);
+        return;
+      }
+      const remaining = Math.hypot(run.x - m.x, run.y - m.y);
+      const step = Math.min(1, remaining / (ab.leapSpeed * TICK_DT || 1));
+      const nx = m.x + m.vx * TICK_DT * step, ny = m.y + m.vy * TICK_DT * step;
+      const wallHit = sweepSegmentAgainstWalls(m.x, m.y, nx, ny, world.walls);
+      // A leap is fast enough to tunnel through thin walls, so stop it at the first one.
+      if (wallHit) { m.x = wallHit.x - m.vx / ab.leapSpeed * m.radius; m.y = wallHit.y - m.vy / ab.leapSpeed * m.radius; }
+      else { m.x = nx; m.y = ny; }
+      resolveMobMovement(m, world);
+      for (const p of playersNear(world, m.x, m.y, m.radius)) {
+        if (p.hp <= 0 || Math.hypot(p.x - m.x, p.y - m.y) > m.radius + (p.radius || 0)) continue;
+        if (now >= (p.invulnerableUntil || 0)) applyDamageToPlayer(p, ab.damage, m.id);
+        run.hits.push(p.id);
+        break;
+      }
+      if (run.hits.length || wallHit || step < 1 || now >= run.until) {
+        m.vx = 0; m.vy = 0;
+        endMobAbility(m, world);
+      }
+    }
+  },
+
+  // Stand still and mark a circle of `radius` around the mob for telegraphMs,
+  // then hit and stun every player inside it that the mob can see.
+  aoe_telegraph: {
+    start(m, world, run, target, now) {
+      run.phase = 'telegraph';
+      run.x = m.x; run.y = m.y;
+      run.until = now + run.def.telegraphMs;
+      broadcastMobAbility(m, world, run, { radius: run.def.radius });
+    },
+    update(m, world, run, now) {
+      m.vx = 0; m.vy = 0;
+      if (now < run.until) return;
+      const ab = run.def;
+      for (const p of playersNear(world, run.x, run.y, ab.radius)) {
+        if (p.hp <= 0 || Math.hypot(p.x - run.x, p.y - run.y) > ab.radius + (p.radius || 0)) continue;
+        if (sweepSegmentAgainstWalls(run.x, run.y, p.x, p.y, world.walls)) continue;
+        if (now < (p.invulnerableUntil || 0)) continue;
+        run.hits.push(p.id);
+        applyDamageToPlayer(p, ab.damage, m.id);
+        if (ab.stunMs && p.hp > 0) {
+          p.stunnedUntil = now + ab.stunMs;
+          broadcastToMatch(world.matchId, { t: 'stun', id: p.id, kind: 'player', until: p.stunnedUntil, sourceId: m.id });
+        }
+      }
+      run.phase = 'impact';
+      broadcastMobAbility(m, world, run, { radius: ab.radius, hits: run.hits });
+      endMobAbility(m, world);
+    }
+  },
+
+  // Call `count` mobs of `mobType` around the caster, already set on its
+  // target. Summoned mobs do not respawn.
+  summon: {
+    start(m, world, run, target, now) {
+      run.phase = 'active';
+      run.x = m.x; run.y = m.y;
+      const spawned = [];
+      for (let i = 0; i < run.def.count; i++) {
+        const add = spawnMobAt(world, { x: m.x, y: m.y }, run.def.mobType);
+        if (!add) continue;
+        add.summoned = true;
+        if (m.wave) joinWave(add, m.wave, m.hpMul, m.atkMul);
+        add.targetId = target.id;
+        setMobState(add, world, 'chase', now);
+        spawned.push(add.id);
+      }
+      broadcastMobAbility(m, world, run, { spawned });
+    },
+    update(m, world, run, now) {
+      endMobAbility(m, world);
+    }
+  }
+};
+
+// Starts the first ability that is off cooldown, has a handler, fits the
+// distance to the target and has a clear line to it. Returns true if one did.
+function tryStartMobAbility(m, world, target, now) {
+  const abilities = m.abilities;
+  if (!abilities || !abilities.length) return false;
+  const dist = Math.hypot(target.x - m.x, target.y - m.y);
+  for (const ab of abilities) {
+    const kind = MOB_ABILITY_KINDS[ab.kind];
+    if (!kind || now < (m.abilityReadyAt[ab.id] || 0)) continue;
+    if (dist < (ab.minRange || 0) || dist > ab.maxRange) continue;
+    if (sweepSegmentAgainstWalls(m.x, m.y, target.x, target.y, world.walls)) continue;
+    m.abilityReadyAt[ab.id] = now + ab.cooldownMs;
+    m.ability = { id: ab.id, def: ab, kind, targetId: target.id, phase: null, until: 0, x: target.x, y: target.y, hits: [] };
+    m.vx = 0; m.vy = 0; m.path = null;
+    setMobState(m, world, 'attack', now);
+    kind.start(m, world, m.ability, target, now);
+    return true;
+  }
+  return false;
+}
+
+// --- Boss encounters ---
+// Enters every boss phase whose hp threshold has been crossed (several at
+// once after a big hit) and applies its overrides.
+function updateBossPhase(m, world) {
+  const phases = m.def.phases;
+  let entered = null;
+  while (m.phase < phases.length && m.hp < m.maxHp * phases[m.phase].belowHpPct) {
+    entered = phases[m.phase++];
+    if (entered.speed) m.speed = entered.speed;
+    if (entered.atk) m.atk = entered.atk * (m.atkMul || 1);
+    if (entered.abilities) m.abilities = entered.abilities;
+  }
+  if (!entered) return;
+  broadcastToMatch(world.matchId, { t: 'boss_phase', mobId: m.id, mobType: m.type, phase: m.phase, name: entered.name, hp: Math.round(m.hp) });
+}
+
+function bossSpawnPoint(entry, rng = Math.random) {
+  if (typeof entry.spawnAt === 'number' && mobSpawnPoints[entry.spawnAt]) return mobSpawnPoints[entry.spawnAt];
+  return mobSpawnPoints[Math.floor(rng() * mobSpawnPoints.length)];
+}
+
+function updateBossSchedule(match, now) {
+  const world = match.world;
+  const elapsed = now - match.startedAt;
+  for (const entry of world.bossSchedule) {
+    if (entry.spawned) continue;
+    const def = mobDefs[entry.type];
+    const spawnAtMs = match.durationMs * entry.atPct;
+    if (!entry.announced && elapsed >= spawnAtMs - entry.warnMs) {
+      entry.announced = true;
+      entry.point = bossSpawnPoint(entry, world.rng);
+      broadcastToMatch(match.id, { t: 'boss_incoming', mobType: entry.type, name: def.name, x: Math.round(entry.point.x), y: Math.round(entry.point.y), spawnAt: match.startedAt + spawnAtMs });
+    }
+    if (elapsed < spawnAtMs) continue;
+    entry.spawned = true;
+    const boss = spawnMobAt(world, entry.point || bossSpawnPoint(entry, world.rng), entry.type);
+    if (!boss) continue;
+    console.log(`👑 ${def.name} spawned in match ${match.id}`);
+    broadcastToMatch(match.id, { t: 'boss_spawned', mobId: boss.id, mobType: boss.type, name: def.name, x: Math.round(boss.x), y: Math.round(boss.y), maxHp: boss.maxHp });
+  }
+}
+
+// Reflects a projectile off the wall edge it just crossed if it has bounces
+// left (from its skill def). Returns false when it should be destroyed instead.
+function bounceProjectileOffWall(proj, hit) {
+  if (!(proj.bouncesLeft > 0)) return false;
+  proj.bouncesLeft--;
+  let nx = hit.nx, ny = hit.ny;
+  const vn = proj.vx * nx + proj.vy * ny;
+  if (vn > 0) { nx = -nx; ny = -ny; }
+  const vDotN = proj.vx * nx + proj.vy * ny;
+  proj.vx -= 2 * vDotN * nx;
+  proj.vy -= 2 * vDotN * ny;
+  // Park it just in front of the wall so the next sweep starts outside.
+  proj.x = hit.x + nx * 2;
+  proj.y = hit.y + ny * 2;
+  return true;
+}
+
+// --- Server tick ---
+// Runs once per TICK_MS of wall time (see createFixedStepLoop in
+// startServer). Each match world keeps its own clock, which moves exactly one
+// TICK_MS per tick, so the simulation never sees the wall clock.
+function serverTick() {
+  updateQueueCountdowns();
+  updateMatchTimers();
+  
+  for (const match of matches.values()) {
+    if (match.state !== 'in_game' || !match.world) continue;
+    tickMatchWorld(match, match.world.time + TICK_MS);
+  }
+}
+
+// Advances `match` by one tick ending at simulation time `now`. Given the same
+// seed, start time and inputs the outcome is always the same.
+function tickMatchWorld(match, now) {
+  const world = match.world;
+  const mobs = world.mobs;
+  const projectiles = world.projectiles;
+  world.tick++;
+  world.time = now;
+
+  // Actions received since the last tick resolve first, in arrival order.
+  for (const p of match.players.values()) {
+    if (!p.pendingActions || !p.pendingActions.length) continue;
+    const actions = p.pendingActions;
+    p.pendingActions = [];
+    for (const msg of actions) {
+      if (match.replay) recordReplayAction(match, p, msg);
+      // These used to run in the message handler; a bad one must still only
+      // fail itself, not the tick.
+      try {
+        applyPlayerAction(match, p, msg, now);
+      } catch (err) {
+        console.error('Error applying', msg.t, 'for', p.id, err);
+        sendToSocket(p.ws, { t: 'server_error', error: String(err && err.message ? err.message : err) });
+      }
+    }
+  }
+
+  updateBossSchedule(match, now);
+  expireGroundItems(world, now);
+
+  for (const [id,m] of mobs.entries()) {
+    if (m.hp <= 0 && m.respawnAt && now >= m.respawnAt) {
+      mobs.delete(id);
+      // Bosses, summoned adds and wave mobs are one-off encounters.
+      if (!m.def.boss && !m.summoned && !m.wave) spawnMobAt(world, m.spawnPoint, m.type);
+    }
+  }
+
+  refreshPlayerGrid(world);
+  world.pathBudget = MAX_PATH_SEARCHES_PER_TICK;
+  for (const m of mobs.values()) {
+    if (m.hp <= 0) continue;
+    updateMobBehavior(m, world, now);
+  }
+  refreshMobGrid(world);
+
+  for (const p of match.players.values()) {
+    p.inputsThisTick = 0;
+    p.ackedInputSeq = p.lastInputSeq;
+    p.buffs = (p.buffs || []).filter(b => b.until > now);
+    let speedMultiplier = 1.0; let damageMultiplier = 1.0;
+    for (const b of p.buffs) { speedMultiplier *= (b.multiplier || 1); if (b.type === 'damage') damageMultiplier *= (b.multiplier || 1); }
+
+    damageMultiplier = damageMultiplier * (p.damageMul || 1.0);
+
+    if (p.stunnedUntil && now < p.stunnedUntil) { p.vx = 0; p.vy = 0; continue; }
+    if (p.eliminated) { p.vx = 0; p.vy = 0; continue; }
+
+    const inVec = p.lastInput || { x:0, y:0 };
+    const speed = (p.baseSpeed || 380) * speedMultiplier;
+    const vx = inVec.x * speed, vy = inVec.y * speed;
+    const limit = MAP_HALF - p.radius - 1;
+    const fromX = Math.max(-limit, Math.min(limit, p.x)), fromY = Math.max(-limit, Math.min(limit, p.y));
+    p.x += vx * TICK_DT; p.y += vy * TICK_DT;
+    p.vx = vx; p.vy = vy;
+    if (p.x > limit) p.x = limit; if (p.x < -limit) p.x = -limit; if (p.y > limit) p.y = limit; if (p.y < -limit) p.y = -limit;
+    resolveCircleAgainstWalls(p, world.walls);
+    // The wall resolver can push a circle into a concave polygon; undo such a
+    // step. Positions are computed here, so this is never the client's doing.
+    if (pointInsideWall(p.x, p.y, 0, world.walls) && !pointInsideWall(fromX, fromY, 0, world.walls)) {
+      p.x = fromX; p.y = fromY; p.vx = 0; p.vy = 0;
+    }
+
+    const nowSec = now / 1000;
     if (p.hp > 0) {
-      for (const m of mobs.values()) {
+      for (const m of mobsNear(world, p.x, p.y, p.radius + 6)) {
         if (m.hp <= 0) continue;
         const d = Math.hypot(m.x - p.x, m.y - p.y); const range = p.radius + m.radius + 6;
         if (d <= range) {
           if (nowSec - (p.lastAttackTime || 0) >= p.attackCooldown) { p.lastAttackTime = nowSec; const dmg = p.baseDamage * (damageMultiplier || 1.0); damageMob(m, dmg, p.id); }
         }
       }
+    } else if (playerMayRespawn(match, p)) {
+      const pos = p.team != null ? teamSpawnPoint(p.team, world.rng) : bottomLeftSpawn(); p.x = pos.x; p.y = pos.y; p.hp = p.maxHp; p.invulnerableUntil = now + 3000;
     } else {
-      const pos = bottomLeftSpawn(); p.x = pos.x; p.y = pos.y; p.hp = p.maxHp; p.invulnerableUntil = now + 3000;
+      p.eliminated = true;
     }
-    p.lastSeen = now;
   }
+  refreshPlayerGrid(world);
 
   const toRemove = [];
   for (const [id,proj] of projectiles.entries()) {
     const dt = TICK_DT;
     if (!proj) continue;
     if (proj.ttl && now >= proj.ttl) { toRemove.push(id); continue; }
+    const prevX = proj.x, prevY = proj.y;
     proj.x += proj.vx * dt;
     proj.y += proj.vy * dt;
+    const wallHit = sweepSegmentAgainstWalls(prevX, prevY, proj.x, proj.y, world.walls);
+    if (wallHit) {
+      if (!bounceProjectileOffWall(proj, wallHit)) {
+        broadcastToMatch(match.id, { t: 'proj_wall', id: proj.id, x: Math.round(wallHit.x), y: Math.round(wallHit.y), bounced: false });
+        toRemove.push(id); continue;
+      }
+      broadcastToMatch(match.id, { t: 'proj_wall', id: proj.id, x: Math.round(wallHit.x), y: Math.round(wallHit.y), bounced: true });
+    }
     const limit = MAP_HALF - (proj.radius || 6) - 1;
     if (proj.x > limit) proj.x = limit; if (proj.x < -limit) proj.x = -limit; if (proj.y > limit) proj.y = limit; if (proj.y < -limit) proj.y = -limit;
     let hit = false;
-    for (const m of mobs.values()) {
+    const projR = proj.radius || 6;
+    for (const m of mobsNear(world, proj.x, proj.y, projR)) {
       if (m.hp <= 0) continue;
       const d = Math.hypot(proj.x - m.x, proj.y - m.y);
       if (d <= ((proj.radius || 6) + (m.radius || 12))) {
         if (proj.kind === 'proj_explode' && proj.explodeRadius && proj.explodeRadius > 0) {
-          for (const m2 of mobs.values()) {
+          for (const m2 of mobsNear(world, proj.x, proj.y, proj.explodeRadius)) {
             if (m2.hp <= 0) continue;
             const d2 = Math.hypot(proj.x - m2.x, proj.y - m2.y);
             if (d2 <= proj.explodeRadius + (m2.radius || 12)) damageMob(m2, proj.damage, proj.ownerId);
           }
         } else { damageMob(m, proj.damage, proj.ownerId); }
-        if (proj.stunMs) { m.stunnedUntil = now + proj.stunMs; const matchId = playerToMatch.get(proj.ownerId); if (matchId) broadcastToMatch(matchId, { t: 'stun', id: m.id, kind: 'mob', until: m.stunnedUntil, sourceId: proj.ownerId }); }
+        if (proj.stunMs) { m.stunnedUntil = now + proj.stunMs; broadcastToMatch(match.id, { t: 'stun', id: m.id, kind: 'mob', until: m.stunnedUntil, sourceId: proj.ownerId }); }
         hit = true; break;
       }
     }
     if (hit) { toRemove.push(id); continue; }
-    for (const p of players.values()) {
-      if (String(p.id) === String(proj.ownerId)) continue;
+    for (const p of playersNear(world, proj.x, proj.y, projR)) {
+      // Projectiles pass through their owner and the owner's teammates.
+      if (!canHurtPlayer(match, proj.ownerId, p)) continue;
       if (p.hp <= 0) continue;
       const d = Math.hypot(proj.x - p.x, proj.y - p.y);
       if (d <= ((proj.radius || 6) + (p.radius || 12))) {
         if (proj.kind === 'proj_explode' && proj.explodeRadius && proj.explodeRadius > 0) {
-          for (const p2 of players.values()) {
-            if (p2.hp <= 0) continue;
+          for (const p2 of playersNear(world, proj.x, proj.y, proj.explodeRadius)) {
+            if (p2.hp <= 0 || !canHurtPlayer(match, proj.ownerId, p2)) continue;
             const d2 = Math.hypot(proj.x - p2.x, proj.y - p2.y);
             if (d2 <= proj.explodeRadius + (p2.radius || 12)) applyDamageToPlayer(p2, proj.damage, proj.ownerId);
           }
-          for (const m2 of mobs.values()) {
+          for (const m2 of mobsNear(world, proj.x, proj.y, proj.explodeRadius)) {
             if (m2.hp <= 0) continue;
             const d2 = Math.hypot(proj.x - m2.x, proj.y - m2.y);
             if (d2 <= proj.explodeRadius + (m2.radius || 12)) damageMob(m2, proj.damage, proj.ownerId);
           }
         } else { applyDamageToPlayer(p, proj.damage, proj.ownerId); }
-        if (proj.stunMs) { p.stunnedUntil = now + proj.stunMs; const matchId = playerToMatch.get(proj.ownerId); if (matchId) broadcastToMatch(matchId, { t: 'stun', id: p.id, kind: 'player', until: p.stunnedUntil, sourceId: proj.ownerId }); }
+        if (proj.stunMs) { p.stunnedUntil = now + proj.stunMs; broadcastToMatch(match.id, { t: 'stun', id: p.id, kind: 'player', until: p.stunnedUntil, sourceId: proj.ownerId }); }
         hit = true; break;
       }
     }
@@ -959,43 +2650,371 @@ function serverTick() {
   }
   for (const id of toRemove) projectiles.delete(id);
 
-  for (const [matchId, match] of matches.entries()) {
-    if (match.state !== 'in_game') continue;
-    
-    const playerList = Array.from(match.players.values()).map(p => ({ id: p.id, name: p.name, x: Math.round(p.x), y: Math.round(p.y), vx: Math.round(p.vx), vy: Math.round(p.vy), radius: p.radius, color: p.color, hp: Math.round(p.hp), maxHp: p.maxHp, level: p.level, xp: Math.round(p.xp || 0), nextLevelXp: p.nextLevelXp || 100, kills: p.kills || 0 }));
-    const mobList = Array.from(mobs.values()).map(m => ({ id: m.id, type: m.type, x: Math.round(m.x), y: Math.round(m.y), hp: Math.round(m.hp), maxHp: Math.round(m.maxHp), radius: m.radius, stunnedUntil: m.stunnedUntil || 0 }));
-    const projList = Array.from(projectiles.values()).map(p => ({ id: p.id, type: p.type, x: Math.round(p.x), y: Math.round(p.y), vx: Math.round(p.vx), vy: Math.round(p.vy), radius: p.radius, owner: p.ownerId, ttl: Math.max(0, p.ttl ? Math.round(p.ttl - now) : 0) }));
-    
-    broadcastToMatch(matchId, { t:'snapshot', tick: now, players: playerList, mobs: mobList, projectiles: projList, walls, leaderboard: match.leaderboard });
+  if (match.objective) OBJECTIVES[match.objective.kind].tick(match, now);
+  if (now >= world.nextHealAt) {
+    if (world.nextHealAt) healMatchPlayers(match);
+    world.nextHealAt = now + HEAL_INTERVAL_MS;
+  }
+
+  recordFrame(world.rewind, world.tick, match.players.values(), mobs.values());
+  if (match.replay) recordReplayTick(match, now);
+  sendMatchSnapshots(match, now);
+}
+
+// --- Replays ---
+// With MOBORR_RECORD_REPLAYS set, every match is written to REPLAY_DIR as it
+// runs: the movement input each player's tick used (when it changed), every
+// cast as it resolves, and a frame of the whole world every
+// REPLAY_FRAME_TICKS. Frames use the snapshot entry format, diffed against the
+// previous frame, so a client plays them with its snapshot code.
+function startReplay(match) {
+  const world = match.world;
+  const id = `${match.startedAt}-${match.id}`;
+  const header = {
+    matchId: match.id, mode: match.mode, seed: world.seed, startedAt: match.startedAt, durationMs: match.durationMs,
+    tickRate: TICK_RATE, startTick: world.tick, mapHalf: MAP_HALF, mapType: MAP_TYPE, walls: world.walls, teams: match.teams,
+    players: Array.from(match.players.values()).map(p => ({ id: p.id, name: p.name, class: p.class, team: p.team, accountId: p.account ? p.account.id : null }))
+  };
+  try {
+    match.replay = { id, writer: replays.createReplayWriter(REPLAY_DIR, id, header), inputs: new Map(), frames: 0, last: null };
+  } catch (err) {
+    console.error('Could not start replay for', match.id, err);
+  }
+}
+
+// Queued actions are recorded as they resolve, with the client's fields;
+// together with the inputs they are everything that steered the match. Casts
+// also keep the tick they were resolved against: it comes from the caster's
+// measured RTT, which is not part of the simulation.
+function recordReplayAction(match, p, msg) {
+  const tick = match.world.tick, id = p.id;
+  let rec;
+  if (msg.t === 'cast') {
+    rec = { k: 'cast', tick, id, slot: msg.slot, angle: msg.angle, targetId: msg.targetId, aimX: msg.aimX, aimY: msg.aimY,
+      rewindTick: rewindTickFor(p, match.world) };
+  } else if (msg.t === 'equip') {
+    rec = { k: 'equip', tick, id, slot: msg.slot, itemUid: msg.itemUid };
+  } else if (msg.t === 'pickup') {
+    rec = { k: 'pickup', tick, id, groundItemId: msg.id };
+  } else if (msg.t === 'shop_buy') {
+    rec = { k: 'buy', tick, id, stockId: msg.stockId };
+  } else {
+    return;
+  }
+  match.replay.writer.write(rec);
+}
+
+function recordReplayTick(match, now) {
+  const world = match.world;
+  const rec = match.replay;
+  for (const p of match.players.values()) {
+    const inVec = p.lastInput || { x: 0, y: 0 };
+    const prev = rec.inputs.get(p.id);
+    if (prev && prev.x === inVec.x && prev.y === inVec.y) continue;
+    rec.inputs.set(p.id, { x: inVec.x, y: inVec.y });
+    rec.writer.write({ k: 'input', tick: world.tick, id: p.id, x: inVec.x, y: inVec.y });
+  }
+  if (world.tick % REPLAY_FRAME_TICKS !== 0) return;
+
+  const view = { players: new Map(), mobs: new Map(), projectiles: new Map(), items: new Map() };
+  for (const p of match.players.values()) view.players.set(p.id, playerSnapshotEntry(p));
+  for (const m of world.mobs.values()) if (m.hp > 0) view.mobs.set(m.id, mobSnapshotEntry(m));
+  for (const pr of world.projectiles.values()) view.projectiles.set(pr.id, projectileSnapshotEntry(pr, now));
+  for (const gi of world.groundItems.values()) view.items.set(gi.id, groundItemSnapshotEntry(gi));
+  view.leaderboardJson = JSON.stringify(match.leaderboard);
+  const objective = match.objective ? OBJECTIVES[match.objective.kind].snapshot(match, now) : null;
+  view.objectiveJson = objective ? JSON.stringify(objective) : null;
+
+  const base = rec.frames % REPLAY_KEYFRAME_EVERY === 0 ? null : rec.last;
+  const pl = diffSnapshotCategory(base && base.players, view.players);
+  const mb = diffSnapshotCategory(base && base.mobs, view.mobs);
+  const pr = diffSnapshotCategory(base && base.projectiles, view.projectiles);
+  const it = diffSnapshotCategory(base && base.items, view.items);
+  const frame = { k: 'frame', tick: world.tick, time: now, full: !base, players: pl.changed, mobs: mb.changed, projectiles: pr.changed, items: it.changed };
+  if (base) frame.removed = { players: pl.removed, mobs: mb.removed, projectiles: pr.removed, items: it.removed };
+  if (!base || base.leaderboardJson !== view.leaderboardJson) frame.leaderboard = match.leaderboard;
+  if (objective && (!base || base.objectiveJson !== view.objectiveJson)) frame.objective = objective;
+  rec.writer.write(frame);
+  rec.last = view;
+  rec.frames++;
+}
+
+function finishReplay(match, reason) {
+  const rec = match.replay;
+  if (!rec) return;
+  match.replay = null;
+  const time = match.world ? match.world.time : nowMs();
+  rec.writer.close({ tick: match.world ? match.world.tick : 0, time, reason, leaderboard: match.leaderboard })
+    .then(summary => console.log(`📼 Replay ${summary.id} saved (${summary.size} bytes)`))
+    .catch(err => console.error('Failed to finish replay', rec.id, err));
+}
+
+// Playback: a player outside any match sends 'replay_watch' { replayId,
+// speed, fromMs } and gets 'replay_start' (the header) followed by the
+// recorded records as 'replay_input' / 'replay_cast' / 'replay_frame' at
+// `speed` times real time, then 'replay_end'. 'replay_speed' changes the speed
+// (answered with the speed used) and 'replay_stop' ends playback early.
+const REPLAY_MAX_VIEWERS = 16;
+
+// Returns a rejection reason, or null.
+async function handleReplayMessage(player, msg) {
+  if (msg.t === 'replay_watch') {
+    if (inActiveMatch(player.id)) return 'in_match';
+    if (player.replayLoading) return 'busy';
+    stopPlayback(player);
+    stopSpectating(player, 'watching_replay');
+    if (replayViewers.size >= REPLAY_MAX_VIEWERS) return 'server_busy';
+    const replayId = String(msg.replayId || '');
+    let replay;
+    player.replayLoading = true;
+    try {
+      replay = await replays.loadReplay(REPLAY_DIR, replayId);
+    } catch (err) {
+      console.error('Failed to load replay', replayId, err);
+      return 'unreadable';
+    } finally {
+      player.replayLoading = false;
+    }
+    if (!replay) return 'unknown_replay';
+    const ws = player.ws;
+    if (!ws || inActiveMatch(player.id)) return null;
+
+    const h = replay.header;
+    const tickMs = 1000 / h.tickRate;
+    const fromTick = h.startTick + Math.max(0, Math.floor(Number(msg.fromMs) / tickMs) || 0);
+    const playback = replays.createPlayback(replay, {
+      tickMs,
+      speed: msg.speed != null ? msg.speed : 1,
+      fromTick,
+      onRecord: (rec) => {
+        const { k, ...fields } = rec;
+        sendToSocket(ws, Object.assign({ t: 'replay_' + k }, fields));
+      },
+      onEnd: () => {
+        stopPlayback(player);
+        const end = replay.end;
+        sendToSocket(ws, { t: 'replay_end', replayId, reason: end ? end.reason : null, leaderboard: end ? end.leaderboard : null });
+      }
+    });
+    player.playback = playback;
+    replayViewers.add(player.id);
+    sendToSocket(ws, {
+      t: 'replay_start', replayId, matchId: h.matchId, mode: h.mode, startedAt: h.startedAt, durationMs: h.durationMs,
+      tickRate: h.tickRate, startTick: h.startTick, mapHalf: h.mapHalf, mapType: h.mapType, walls: h.walls, teams: h.teams,
+      players: h.players, speed: playback.setSpeed(msg.speed != null ? msg.speed : 1), fromTick
+    });
+    return null;
+  } else if (msg.t === 'replay_speed') {
+    if (!player.playback) return 'not_watching';
+    sendToSocket(player.ws, { t: 'replay_speed', speed: player.playback.setSpeed(msg.speed) });
+    return null;
+  } else if (msg.t === 'replay_stop') {
+    if (!player.playback) return 'not_watching';
+    stopPlayback(player);
+    return null;
+  }
+  return 'unknown_action';
+}
+
+function stopPlayback(p) {
+  if (!p.playback) return;
+  p.playback.stop();
+  p.playback = null;
+  replayViewers.delete(p.id);
+}
+
+// GET /replays lists the finished replays; GET /replays/<id> downloads one
+// (the gzipped record file described in lib/replay.js).
+async function handleReplayRequest(req, res) {
+  const route = req.url.split('?')[0];
+  if (route === '/replays') {
+    sendJson(req, res, 200, { replays: await replays.listReplays(REPLAY_DIR) });
+    return;
+  }
+  const id = route.slice('/replays/'.length);
+  const file = replays.replayFile(REPLAY_DIR, id);
+  let stat = null;
+  try {
+    if (file) stat = await fs.promises.stat(file);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  if (!stat) { sendJson(req, res, 404, { error: 'not_found' }); return; }
+  res.writeHead(200, corsHeaders(req, {
+    'Content-Type': 'application/gzip',
+    'Content-Length': stat.size,
+    'Content-Disposition': `attachment; filename="${id}.replay.gz"`
+  }));
+  fs.createReadStream(file).on('error', () => res.destroy()).pipe(res);
+}
+
+// --- Per-client snapshots ---
+// Every tick each player gets their own snapshot containing only the entities
+// within VIEW_RADIUS of them (plus themselves). Snapshots are numbered per
+// client; once the client acks a seq with 'snapshot_ack', later snapshots are
+// sent as deltas against that acked one: new entities in full, known entities
+// with only their changed fields, and the ids that left view in `removed`.
+// Static data (walls) is only sent in 'welcome' / 'match_start'.
+function createSnapshotState() {
+  return { seq: 0, ackedSeq: 0, history: new Map() };
+}
+
+function playerSnapshotEntry(p) {
+  const e = { id: p.id, name: p.name, x: Math.round(p.x), y: Math.round(p.y), vx: Math.round(p.vx), vy: Math.round(p.vy), radius: p.radius, color: p.color, hp: Math.round(p.hp), maxHp: p.maxHp, level: p.level, xp: Math.round(p.xp || 0), nextLevelXp: p.nextLevelXp || 100, kills: p.kills || 0 };
+  if (p.team != null) e.team = p.team;
+  return e;
+}
+
+function mobSnapshotEntry(m) {
+  const e = { id: m.id, type: m.type, x: Math.round(m.x), y: Math.round(m.y), hp: Math.round(m.hp), maxHp: Math.round(m.maxHp), radius: m.radius, stunnedUntil: m.stunnedUntil || 0, state: m.state };
+  if (m.def.boss) e.phase = m.phase;
+  return e;
+}
+
+function projectileSnapshotEntry(p, now) {
+  return { id: p.id, type: p.type, x: Math.round(p.x), y: Math.round(p.y), vx: Math.round(p.vx), vy: Math.round(p.vy), radius: p.radius, owner: p.ownerId, ttl: Math.max(0, p.ttl ? Math.round(p.ttl - now) : 0) };
+}
+
+function groundItemSnapshotEntry(gi) {
+  return { id: gi.id, itemId: gi.item.itemId, rarity: gi.item.rarity, x: Math.round(gi.x), y: Math.round(gi.y), ownerId: gi.ownerId, ownerUntil: gi.ownerUntil };
+}
+
+function withinView(viewer, ent, radius) {
+  const dx = ent.x - viewer.x, dy = ent.y - viewer.y;
+  const r = radius + (ent.radius || 0);
+  return dx*dx + dy*dy <= r*r;
+}
+
+// Returns the fields of `cur` that differ from `prev` (always including id),
+// or null when nothing changed.
+function diffSnapshotEntry(prev, cur) {
+  let delta = null;
+  for (const k in cur) {
+    if (k === 'id') continue;
+    if (prev[k] !== cur[k]) {
+      if (!delta) delta = { id: cur.id };
+      delta[k] = cur[k];
+    }
+  }
+  return delta;
+}
+
+function diffSnapshotCategory(baseMap, curMap) {
+  const changed = [];
+  const removed = [];
+  for (const [id, cur] of curMap) {
+    const prev = baseMap ? baseMap.get(id) : null;
+    if (!prev) { changed.push(cur); continue; }
+    const delta = diffSnapshotEntry(prev, cur);
+    if (delta) changed.push(delta);
+  }
+  if (baseMap) {
+    for (const id of baseMap.keys()) if (!curMap.has(id)) removed.push(id);
+  }
+  return { changed, removed };
+}
+
+function sendMatchSnapshots(match, now) {
+  const world = match.world;
+  // Entries are built lazily and at most once per entity per tick, since
+  // most entities are only in view of a few players.
+  const entries = new Map();
+  const entryFor = (ent, build) => {
+    let e = entries.get(ent);
+    if (!e) { e = build(ent, now); entries.set(ent, e); }
+    return e;
+  };
+  const leaderboardJson = JSON.stringify(match.leaderboard);
+  const objective = match.objective ? OBJECTIVES[match.objective.kind].snapshot(match, now) : null;
+  const objectiveJson = objective ? JSON.stringify(objective) : null;
+
+  for (const viewer of match.players.values()) {
+    if (!viewer.ws || viewer.ws.readyState !== WebSocket.OPEN) continue;
+    const state = viewer.snapshotState || (viewer.snapshotState = createSnapshotState());
+
+    const view = { players: new Map(), mobs: new Map(), projectiles: new Map(), items: new Map(), leaderboardJson, objectiveJson };
+    view.players.set(viewer.id, entryFor(viewer, playerSnapshotEntry));
+    for (const p of playersNear(world, viewer.x, viewer.y, VIEW_RADIUS)) {
+      if (p !== viewer && withinView(viewer, p, VIEW_RADIUS)) view.players.set(p.id, entryFor(p, playerSnapshotEntry));
+    }
+    for (const m of mobsNear(world, viewer.x, viewer.y, VIEW_RADIUS)) {
+      if (withinView(viewer, m, VIEW_RADIUS)) view.mobs.set(m.id, entryFor(m, mobSnapshotEntry));
+    }
+    for (const pr of world.projectiles.values()) {
+      if (withinView(viewer, pr, VIEW_RADIUS)) view.projectiles.set(pr.id, entryFor(pr, projectileSnapshotEntry));
+    }
+    for (const gi of world.groundItems.values()) {
+      if (withinView(viewer, gi, VIEW_RADIUS)) view.items.set(gi.id, entryFor(gi, groundItemSnapshotEntry));
+    }
+
+    sendToSocket(viewer.ws, snapshotMessage(match, state, view, objective, viewer.ackedInputSeq));
+  }
+
+  if (match.spectators && match.spectators.size) sendSpectatorSnapshots(match, entryFor, leaderboardJson, objective, objectiveJson);
+}
+
+// Numbers `view` for the client owning `state`, keeps it as a possible delta
+// base and returns its 'snapshot' message: a delta against the view the
+// client last acked, or a full snapshot when there is none.
+function snapshotMessage(match, state, view, objective, ackInput) {
+  const base = state.ackedSeq ? state.history.get(state.ackedSeq) : null;
+  const seq = ++state.seq;
+  state.history.set(seq, view);
+  if (state.history.size > SNAPSHOT_HISTORY) {
+    // Map iteration is insertion order, so the first key is the oldest seq.
+    state.history.delete(state.history.keys().next().value);
   }
+
+  const pl = diffSnapshotCategory(base && base.players, view.players);
+  const mb = diffSnapshotCategory(base && base.mobs, view.mobs);
+  const pr = diffSnapshotCategory(base && base.projectiles, view.projectiles);
+  const it = diffSnapshotCategory(base && base.items, view.items);
+  const msg = {
+    t: 'snapshot',
+    tick: match.world.tick,
+    seq,
+    baseSeq: base ? state.ackedSeq : 0,
+    full: !base,
+    players: pl.changed,
+    mobs: mb.changed,
+    projectiles: pr.changed,
+    items: it.changed
+  };
+  if (ackInput != null) msg.ackInput = ackInput;
+  if (base) msg.removed = { players: pl.removed, mobs: mb.removed, projectiles: pr.removed, items: it.removed };
+  if (!base || base.leaderboardJson !== view.leaderboardJson) msg.leaderboard = match.leaderboard;
+  if (objective && (!base || base.objectiveJson !== view.objectiveJson)) msg.objective = objective;
+  return msg;
 }
 
-setInterval(serverTick, Math.round(1000 / TICK_RATE));
+function handleSnapshotAck(player, seq) {
+  const state = player.snapshotState;
+  if (!state) return;
+  seq = Number(seq);
+  if (!Number.isInteger(seq) || seq <= state.ackedSeq || !state.history.has(seq)) return;
+  state.ackedSeq = seq;
+  for (const s of state.history.keys()) {
+    if (s < seq) state.history.delete(s);
+  }
+}
 
 const HEAL_INTERVAL_MS = 10000;
-setInterval(() => {
-  const now = Date.now();
-  for (const p of players.values()) {
+// Called from tickMatchWorld every HEAL_INTERVAL_MS of match time.
+function healMatchPlayers(match) {
+  for (const p of match.players.values()) {
     if (!p || p.hp <= 0) continue;
     const healAmount = Math.max(1, Math.ceil((p.maxHp || 200) * 0.10));
     const prev = p.hp;
     p.hp = Math.min(p.maxHp || 200, p.hp + healAmount);
     const actual = Math.round(p.hp - prev);
-    if (actual > 0) {
-      try {
-        const matchId = playerToMatch.get(p.id);
-        if (matchId) {
-          broadcastToMatch(matchId, { t: 'player_healed', id: p.id, hp: Math.round(p.hp), amount: actual });
-        }
-      } catch (e) {}
-    }
+    if (actual > 0) broadcastToMatch(match.id, { t: 'player_healed', id: p.id, hp: Math.round(p.hp), amount: actual });
   }
-}, HEAL_INTERVAL_MS);
+}
 
 const HEARTBEAT_INTERVAL_MS = 30000;
 const PLAYER_STALE_MS = 120000;
 
-const heartbeatInterval = setInterval(() => {
+function heartbeatTick() {
   const now = Date.now();
   wss.clients.forEach((ws) => {
     if (ws.isAlive === false) {
@@ -1008,25 +3027,647 @@ const heartbeatInterval = setInterval(() => {
 
   for (const [id, p] of players.entries()) {
     if (now - (p.lastSeen || 0) > PLAYER_STALE_MS) {
-      removePlayerFromQueue(id);
-      const matchId = playerToMatch.get(id);
-      if (matchId) {
-        const match = matches.get(matchId);
-        if (match) {
-          match.players.delete(id);
-          if (match.players.size === 0) {
-            matches.delete(matchId);
-          }
-        }
-        playerToMatch.delete(id);
-      }
-      
       if (p.ws && p.ws.terminate) try { p.ws.terminate(); } catch (e) {}
-      players.delete(id);
+      dropPlayer(id);
       console.log('Removed stale player', id);
     }
   }
-}, HEARTBEAT_INTERVAL_MS);
+}
+
+// --- Spectators ---
+// A joined player outside any running match can watch one with 'spectate'
+// { matchId, followId }. Spectators sit in match.spectators, not
+// match.players: they take no slot, are not in playerToMatch (so 'input',
+// 'cast', 'chat' and the like never reach the match), and get every match
+// broadcast plus a snapshot of the whole world each tick, with no VIEW_RADIUS
+// limit. `followId` only tells the client whose camera to follow (null for a
+// free camera); 'spectate_follow' { playerId } changes it and 'spectate_stop'
+// leaves. Private lobby matches cannot be spectated.
+
+// Returns a rejection reason, or null.
+function handleSpectateMessage(player, msg) {
+  if (msg.t === 'spectate') {
+    if (inActiveMatch(player.id)) return 'in_match';
+    const match = matches.get(String(msg.matchId || ''));
+    if (!match || match.state !== 'in_game' || !match.world) return 'unknown_match';
+    if (match.lobbyCode) return 'private_match';
+    const followId = msg.followId != null ? String(msg.followId) : null;
+    if (followId && !match.players.has(followId)) return 'unknown_player';
+    if (spectatorToMatch.get(player.id) !== match.id) {
+      if (match.spectators.size >= MAX_SPECTATORS_PER_MATCH) return 'match_full';
+      stopSpectating(player, null);
+    }
+    stopPlayback(player);
+    match.spectators.set(player.id, player);
+    spectatorToMatch.set(player.id, match.id);
+    player.followId = followId;
+    player.snapshotState = createSnapshotState();
+    sendToSocket(player.ws, Object.assign(matchStartMessage(match), { t: 'spectate_start', followId }));
+    return null;
+  }
+  const match = matches.get(spectatorToMatch.get(player.id));
+  if (!match) return 'not_spectating';
+  if (msg.t === 'spectate_follow') {
+    const followId = msg.playerId != null ? String(msg.playerId) : null;
+    if (followId && !match.players.has(followId)) return 'unknown_player';
+    player.followId = followId;
+    sendToSocket(player.ws, { t: 'spectate_update', matchId: match.id, followId, reason: 'follow' });
+    return null;
+  } else if (msg.t === 'spectate_stop') {
+    stopSpectating(player, 'stopped');
+    return null;
+  }
+  return 'unknown_action';
+}
+
+// Detaches `p` from the match they are spectating, telling them why unless
+// `reason` is null.
+function stopSpectating(p, reason) {
+  const matchId = spectatorToMatch.get(p.id);
+  if (!matchId) return;
+  spectatorToMatch.delete(p.id);
+  const match = matches.get(matchId);
+  if (match) match.spectators.delete(p.id);
+  p.followId = null;
+  p.snapshotState = null;
+  if (reason) sendToSocket(p.ws, { t: 'spectate_update', matchId: null, followId: null, reason });
+}
+
+// Every spectator sees the same full view, so it is built once and shared;
+// the per-client snapshot states only differ in what each one has acked.
+function sendSpectatorSnapshots(match, entryFor, leaderboardJson, objective, objectiveJson) {
+  const world = match.world;
+  const view = { players: new Map(), mobs: new Map(), projectiles: new Map(), items: new Map(), leaderboardJson, objectiveJson };
+  for (const p of match.players.values()) view.players.set(p.id, entryFor(p, playerSnapshotEntry));
+  for (const m of world.mobs.values()) view.mobs.set(m.id, entryFor(m, mobSnapshotEntry));
+  for (const pr of world.projectiles.values()) view.projectiles.set(pr.id, entryFor(pr, projectileSnapshotEntry));
+  for (const gi of world.groundItems.values()) view.items.set(gi.id, entryFor(gi, groundItemSnapshotEntry));
+
+  for (const s of match.spectators.values()) {
+    if (s.followId && !match.players.has(s.followId)) {
+      s.followId = null;
+      sendToSocket(s.ws, { t: 'spectate_update', matchId: match.id, followId: null, reason: 'follow_left' });
+    }
+    if (!s.ws || s.ws.readyState !== WebSocket.OPEN) continue;
+    const state = s.snapshotState || (s.snapshotState = createSnapshotState());
+    sendToSocket(s.ws, snapshotMessage(match, state, view, objective));
+  }
+}
+
+// GET /matches lists the matches that can be spectated.
+function spectatableMatches() {
+  const list = [];
+  for (const match of matches.values()) {
+    if (match.state !== 'in_game' || !match.world || match.lobbyCode) continue;
+    const kills = new Map(match.leaderboard.map(e => [e.playerId, e.kills]));
+    list.push({
+      id: match.id,
+      mode: match.mode,
+      startedAt: match.startedAt,
+      durationMs: match.durationMs,
+      remainingMs: Math.max(0, match.durationMs - (match.world.time - match.startedAt)),
+      players: Array.from(match.players.values()).map(p => ({ id: p.id, name: p.name, team: p.team, kills: kills.get(p.id) || 0 })),
+      spectators: match.spectators.size
+    });
+  }
+  return list;
+}
+
+// --- Sessions ---
+// Every welcome carries a resume token. When a socket closes the player is
+// only suspended: their runtime stays in its match (standing idle), party and
+// lobby for RESUME_GRACE_MS, and a new socket sending { t: 'resume', token }
+// in that time takes it over and gets a full resync. Tokens are single use;
+// each resume issues a new one.
+const RESUME_GRACE_MS = 30000;
+
+function issueResumeToken(p) {
+  if (p.resumeToken) resumeTokens.delete(p.resumeToken);
+  p.resumeToken = crypto.randomBytes(18).toString('base64url');
+  resumeTokens.set(p.resumeToken, p.id);
+}
+
+function welcomeMessage(p, resumed) {
+  return {
+    t: 'welcome',
+    id: p.id,
+    mapHalf: MAP_HALF,
+    mapSize: MAP_SIZE,
+    mapType: MAP_TYPE,
+    mapRadius: MAP_HALF,
+    tickRate: TICK_RATE,
+    walls,
+    protocol: p.ws && p.ws.binaryProtocol ? 'binary' : 'json',
+    player: { class: p.class, level: p.level, xp: p.xp, nextLevelXp: p.nextLevelXp, maxHp: p.maxHp, gold: p.gold || 0, hp: Math.round(p.hp) },
+    resumeToken: p.resumeToken,
+    resumeGraceMs: RESUME_GRACE_MS,
+    resumed: !!resumed,
+    account: p.account ? accounts.profileView(p.account) : null
+  };
+}
+
+// Removes a player from everything for good.
+function dropPlayer(id) {
+  const p = players.get(id);
+  if (p) {
+    stopPlayback(p);
+    stopSpectating(p, null);
+    clearTimeout(p.resumeTimer);
+    if (p.resumeToken) resumeTokens.delete(p.resumeToken);
+  }
+  removePlayerFromQueue(id);
+  removePlayerFromParties(id, 'timed_out');
+  leaveLobby(id, 'timed_out');
+  const matchId = playerToMatch.get(id);
+  if (matchId) {
+    const match = matches.get(matchId);
+    if (match) {
+      match.players.delete(id);
+      if (match.players.size === 0) {
+        finishReplay(match, 'abandoned');
+        for (const s of Array.from(match.spectators.values())) stopSpectating(s, 'match_closed');
+        destroyMatchWorld(match);
+        matches.delete(matchId);
+      }
+    }
+    playerToMatch.delete(id);
+  }
+  players.delete(id);
+}
+
+// Queue places are given up at once; everything else waits for the grace period.
+function suspendPlayer(p) {
+  stopPlayback(p);
+  stopSpectating(p, null);
+  p.ws = null;
+  p.lastInput = { x: 0, y: 0 };
+  p.disconnectedAt = nowMs();
+  removePlayerFromQueue(p.id);
+  const party = parties.get(playerToParty.get(p.id));
+  if (party) broadcastPartyUpdate(party, 'disconnected', p.id);
+  const lobby = lobbies.get(playerToLobby.get(p.id));
+  if (lobby) broadcastLobbyUpdate(lobby, 'disconnected', p.id);
+  clearTimeout(p.resumeTimer);
+  p.resumeTimer = setTimeout(() => {
+    console.log('Resume grace expired for', p.id);
+    dropPlayer(p.id);
+  }, RESUME_GRACE_MS);
+}
+
+function resumePlayer(ws, p, msg) {
+  if (p.ws && p.ws !== ws) {
+    // Resumed from elsewhere while the old socket still looked alive.
+    p.ws.playerId = null;
+    try { p.ws.close(4000, 'Session resumed elsewhere'); } catch (e) {}
+  }
+  clearTimeout(p.resumeTimer);
+  p.resumeTimer = null;
+  p.disconnectedAt = null;
+  p.ws = ws;
+  p.lastSeen = nowMs();
+  // The new connection numbers its inputs from scratch.
+  p.lastInputSeq = 0;
+  p.ackedInputSeq = 0;
+  ws.authenticated = true;
+  ws.playerId = p.id;
+  if (msg.protocol === 'binary') ws.binaryProtocol = true;
+  else if (msg.protocol === 'json') ws.binaryProtocol = false;
+  issueResumeToken(p);
+
+  sendToSocket(ws, welcomeMessage(p, true));
+  const match = matches.get(playerToMatch.get(p.id));
+  if (match && match.state === 'in_game' && match.world) {
+    // A fresh snapshot state makes the next snapshot a full one.
+    p.snapshotState = createSnapshotState();
+    sendToSocket(ws, matchStartMessage(match));
+  }
+  sendInventory(p);
+  const party = parties.get(playerToParty.get(p.id));
+  if (party) broadcastPartyUpdate(party, 'reconnected', p.id);
+  const lobby = lobbies.get(playerToLobby.get(p.id));
+  if (lobby) broadcastLobbyUpdate(lobby, 'reconnected', p.id);
+}
+
+// --- Queued player actions ---
+// Everything a player does besides moving changes the match, so it waits in
+// pendingActions for the start of the next tick (see tickMatchWorld), like
+// movement input. That keeps the outcome a function of the seed and the
+// inputs, whatever the timing of the messages within a tick.
+function queuePlayerAction(player, msg) {
+  if (player.pendingActions.length < ACTION_QUEUE_MAX) player.pendingActions.push(msg);
+}
+
+function applyPlayerAction(match, player, msg, now) {
+  if (msg.t === 'cast') castSkill(match, player, msg, now);
+  else if (msg.t === 'equip') equipItem(player, msg);
+  else if (msg.t === 'pickup') pickupItem(match, player, msg, now);
+  else if (msg.t === 'shop_buy') buyShopItem(match, player, msg, now);
+}
+
+// Items are referenced by uid and must be in the player's inventory; a null
+// itemUid empties `slot`.
+function equipItem(player, msg) {
+  player.equipment = player.equipment || new Array(items.EQUIP_SLOTS.length).fill(null);
+  let slot;
+  if (msg.itemUid == null) {
+    slot = Math.max(0, Math.min(items.EQUIP_SLOTS.length - 1, Number(msg.slot || 0)));
+    player.equipment[slot] = null;
+  } else {
+    const res = items.equipOwnedItem(player, String(msg.itemUid));
+    if (res.reason) { sendToSocket(player.ws, { t: 'equip_rejected', reason: res.reason, itemUid: String(msg.itemUid) }); return; }
+    slot = res.slot;
+  }
+  applyEquipmentBonusesForPlayer(player);
+  sendToSocket(player.ws, { t: 'equip_ack', slot, item: player.equipment[slot] });
+}
+
+function pickupItem(match, player, msg, now) {
+  const reason = pickupGroundItem(player, match.world, msg.id, now);
+  if (reason) { sendToSocket(player.ws, { t: 'pickup_rejected', reason, id: String(msg.id) }); return; }
+  sendInventory(player);
+}
+
+function buyShopItem(match, player, msg, now) {
+  const stockId = String(msg.stockId || '');
+  if (!inShopZone(player)) { sendToSocket(player.ws, { t: 'shop_rejected', stockId, reason: 'out_of_zone' }); return; }
+  const res = shop.buyFromShop(player, stockId, now, match.world.rng);
+  if (res.reason) { sendToSocket(player.ws, { t: 'shop_rejected', stockId, reason: res.reason }); return; }
+  sendToSocket(player.ws, { t: 'shop_ack', stockId, price: res.stock.price, gold: player.gold, item: res.item || null, heal: res.heal || 0, buff: res.buff || null });
+  if (res.item) sendInventory(player);
+  if (res.heal) broadcastToMatch(match.id, { t: 'player_healed', id: player.id, hp: Math.round(player.hp), amount: res.heal });
+}
+
+// --- Casting ---
+// Resolves one queued 'cast' for `player` at tick time `now`. The class was
+// checked when the message arrived; everything else is checked here.
+function castSkill(match, player, msg, now) {
+  const slot = Math.max(1, Math.min(4, Number(msg.slot || 1)));
+  const cls = player.class || 'warrior';
+  player.cooldowns = player.cooldowns || {};
+  const cdKey = `s${slot}`;
+  const cooldowns = CLASS_COOLDOWNS_MS[cls] || [6000,6000,6000,6000];
+  const cdUntil = player.cooldowns[cdKey] || 0;
+  if (now < cdUntil) { sendToSocket(player.ws, { t:'cast_rejected', reason:'cooldown', slot }); return; }
+  if (player.hp <= 0) return;
+  const world = match.world;
+  const defs = SKILL_DEFS[cls] || SKILL_DEFS['warrior'];
+  const def = defs[Math.max(0, Math.min(slot-1, defs.length-1))];
+  if (!def) return;
+  const cdMs = cooldowns[Math.max(0, slot-1)] || 6000;
+  player.cooldowns[cdKey] = now + cdMs;
+
+  let angle = 0;
+  if (typeof msg.angle === 'number' && isFinite(msg.angle)) angle = Number(msg.angle);
+  const targetId = (typeof msg.targetId !== 'undefined') ? String(msg.targetId) : null;
+  const aimX = (typeof msg.aimX === 'number') ? Number(msg.aimX) : null;
+  const aimY = (typeof msg.aimY === 'number') ? Number(msg.aimY) : null;
+
+  let casterDamageMul = Number(player.damageMul || 1.0);
+  if (player.buffs && player.buffs.length) {
+    for (const b of player.buffs) if (b.type === 'damage') casterDamageMul *= (b.multiplier || 1);
+  }
+
+  if (def.kind === 'aoe_stun') {
+    const ax = player.x, ay = player.y;
+    for (const m of mobsNear(world, ax, ay, def.radius)) {
+      if (m.hp <= 0) continue;
+      const d = Math.hypot(m.x - ax, m.y - ay);
+      if (d <= def.radius + (m.radius || 12)) {
+        damageMob(m, def.damage * casterDamageMul, player.id);
+        m.stunnedUntil = now + (def.stunMs || 3000);
+        broadcastToMatch(match.id, { t:'stun', id: m.id, kind: 'mob', until: m.stunnedUntil, sourceId: player.id });
+      }
+    }
+    for (const p of playersNear(world, ax, ay, def.radius)) {
+      if (!canHurtPlayer(match, player.id, p)) continue;
+      if (p.hp <= 0) continue;
+      const d = Math.hypot(p.x - ax, p.y - ay);
+      if (d <= def.radius + (p.radius || 12)) {
+        applyDamageToPlayer(p, def.damage * casterDamageMul, player.id);
+        p.stunnedUntil = now + (def.stunMs || 3000);
+        broadcastToMatch(match.id, { t:'stun', id: p.id, kind: 'player', until: p.stunnedUntil, sourceId: player.id });
+      }
+    }
+    broadcastToMatch(match.id, { t: 'cast_effect', casterId: player.id, casterName: player.name, type: def.type || 'aoe', skill: def.type || 'aoe', x: Math.round(ax), y: Math.round(ay), radius: def.radius, damage: def.damage, buff: null });
+  } else if (def.kind === 'melee') {
+    const range = def.range || 48;
+    // Candidates come from current positions, widened by how far anything
+    // could have moved since the rewound tick.
+    const atTick = rewindTickFor(player, world);
+    const reach = range + (world.tick - atTick) * REWIND_MAX_STEP;
+    const nearMob = nearestRewound(world, mobsNear(world, player.x, player.y, reach), player.x, player.y, atTick, (m, d) => m.hp > 0 && d <= range + (m.radius || 12));
+    let closest = nearMob ? nearMob.ent : null;
+    if (closest) {
+      damageMob(closest, def.damage * casterDamageMul, player.id);
+      broadcastToMatch(match.id, { t: 'cast_effect', casterId: player.id, casterName: player.name, type: def.type || 'melee', skill: def.type || 'melee', x: Math.round(player.x), y: Math.round(player.y), range, damage: def.damage });
+    } else {
+      const nearP = nearestRewound(world, playersNear(world, player.x, player.y, reach), player.x, player.y, atTick, (p2, d) => canHurtPlayer(match, player.id, p2) && p2.hp > 0 && d <= range + (p2.radius || 12));
+      closest = nearP ? nearP.ent : null;
+      if (closest && closest.id) {
+        applyDamageToPlayer(closest, def.damage * casterDamageMul, player.id);
+        broadcastToMatch(match.id, { t: 'cast_effect', casterId: player.id, casterName: player.name, type: def.type || 'melee', skill: def.type || 'melee', x: Math.round(player.x), y: Math.round(player.y), range, damage: def.damage });
+      }
+    }
+  } else if (def.kind === 'buff') {
+    const b = def.buff;
+    if (b) {
+      player.buffs = player.buffs || [];
+      const actualDurationMs = Math.round((b.durationMs || 0) * (player.buffDurationMul || 1.0));
+      player.buffs.push({ type: b.type, until: now + (actualDurationMs || 0), multiplier: b.multiplier || 1.0 });
+      broadcastToMatch(match.id, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, buff: { type: b.type, multiplier: b.multiplier || 1.0, durationMs: actualDurationMs }, x: Math.round(player.x), y: Math.round(player.y) });
+    }
+  } else if (def.kind === 'proj_target' || def.kind === 'proj_target_stun' || def.kind === 'proj_target_explode') {
+    if (!targetId) { sendToSocket(player.ws, { t:'cast_rejected', reason:'no_target', slot }); return; }
+    let targetEnt = null;
+    if (world.mobs.has(targetId)) targetEnt = world.mobs.get(targetId);
+    else if (match.players.has(targetId)) targetEnt = match.players.get(targetId);
+    else { sendToSocket(player.ws, { t:'cast_rejected', reason:'invalid_target', slot }); return; }
+    if (match.players.has(targetId) && !canHurtPlayer(match, player.id, targetEnt)) { sendToSocket(player.ws, { t:'cast_rejected', reason:'friendly_target', slot }); return; }
+    const aimed = rewoundPosition(world, targetEnt, rewindTickFor(player, world));
+    const problem = targetCastProblem(player, targetEnt, aimed, def, world);
+    if (problem) { sendToSocket(player.ws, { t:'cast_rejected', reason: problem, slot }); return; }
+    const tx = aimed.x, ty = aimed.y;
+    const angleToTarget = Math.atan2(ty - player.y, tx - player.x);
+    const speed = def.speed || 500;
+    const vx = Math.cos(angleToTarget) * speed;
+    const vy = Math.sin(angleToTarget) * speed;
+    const id = 'proj_' + (nextProjId++);
+    const ttl = (def.ttlMs ? now + def.ttlMs : now + 3000);
+    const proj = { id, type: def.type || 'proj', x: player.x, y: player.y, vx, vy, radius: def.radius || 6, ownerId: player.id, damage: (def.damage || 10) * casterDamageMul, ttl, bouncesLeft: def.bounces || 0, kind: 'target', targetId: targetId, stunMs: def.stunMs || 0 };
+    world.projectiles.set(id, proj);
+    broadcastToMatch(match.id, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, x: Math.round(player.x), y: Math.round(player.y), targetId });
+  } else if (def.kind === 'proj_burst') {
+    const aimAngle = (typeof msg.angle === 'number') ? Number(msg.angle) : 0;
+    const count = def.count || 3;
+    const spread = (def.spreadDeg || 12) * Math.PI / 180;
+    for (let n = 0; n < count; n++) {
+      const offset = ((n - (count-1)/2) / (count-1)) * spread;
+      const angle = aimAngle + offset + (world.rng()*0.02 - 0.01);
+      const speed = def.speed || 500;
+      const vx = Math.cos(angle) * speed, vy = Math.sin(angle) * speed;
+      const id = 'proj_' + (nextProjId++);
+      const ttl = (def.ttlMs ? now + def.ttlMs : now + 3000);
+      const proj = { id, type: def.type || 'proj', x: player.x, y: player.y, vx, vy, radius: def.radius || 6, ownerId: player.id, damage: (def.damage || 10) * casterDamageMul, ttl, bouncesLeft: def.bounces || 0, kind: 'burst' };
+      world.projectiles.set(id, proj);
+    }
+    broadcastToMatch(match.id, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, x: Math.round(player.x), y: Math.round(player.y) });
+  } else if (def.kind === 'proj_aoe_spread') {
+    let aimAngle = (typeof msg.angle === 'number') ? Number(msg.angle) : 0;
+    if (typeof aimX === 'number' && typeof aimY === 'number') aimAngle = Math.atan2(aimY - player.y, aimX - player.x);
+    const count = def.count || 5;
+    const spread = (def.spreadDeg || 45) * Math.PI / 180;
+    for (let n = 0; n < count; n++) {
+      const offset = (world.rng() - 0.5) * spread;
+      const angle = aimAngle + offset;
+      const speed = def.speed || 400;
+      const vx = Math.cos(angle) * speed, vy = Math.sin(angle) * speed;
+      const id = 'proj_' + (nextProjId++);
+      const ttl = (def.ttlMs ? now + def.ttlMs : now + 3000);
+      const proj = { id, type: def.type || 'proj', x: player.x, y: player.y, vx, vy, radius: def.radius || 6, ownerId: player.id, damage: (def.damage || 10) * casterDamageMul, ttl, bouncesLeft: def.bounces || 0, kind: 'arcane' };
+      world.projectiles.set(id, proj);
+    }
+    broadcastToMatch(match.id, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, x: Math.round(player.x), y: Math.round(player.y) });
+  } else {
+    const ax = player.x, ay = player.y;
+    for (const m of mobsNear(world, ax, ay, def.radius || 48)) {
+      if (m.hp <= 0) continue;
+      const d = Math.hypot(m.x - ax, m.y - ay);
+      if (d <= (def.radius || 48) + (m.radius || 12)) damageMob(m, def.damage * casterDamageMul, player.id);
+    }
+    for (const p2 of playersNear(world, ax, ay, def.radius || 48)) {
+      if (!canHurtPlayer(match, player.id, p2)) continue;
+      if (p2.hp <= 0) continue;
+      const d = Math.hypot(p2.x - ax, p2.y - ay);
+      if (d <= (def.radius || 48) + (p2.radius || 12)) applyDamageToPlayer(p2, def.damage * casterDamageMul, player.id);
+    }
+    broadcastToMatch(match.id, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, x: Math.round(ax), y: Math.round(ay), radius: def.radius, damage: def.damage });
+  }
+}
+
+// --- Lag compensation ---
+// The server measures each in-match player's round trip itself: every
+// RTT_PROBE_INTERVAL_MS it sends a WebSocket ping carrying a fresh payload
+// and times the matching pong (browsers answer pings on their own); any `rtt`
+// a client puts in 'ping' is ignored. When a melee or targeted cast arrives,
+// the caster was looking at a world about one RTT old, so targets are picked
+// and checked where they stood that many ticks ago (at most MAX_REWIND_MS),
+// using the positions recorded at the end of every tick.
+
+let nextRttProbe = 1;
+function probeRtt() {
+  for (const p of players.values()) {
+    if (!p.ws || p.ws.readyState !== WebSocket.OPEN || !inActiveMatch(p.id)) continue;
+    // An unanswered probe is simply replaced.
+    p.rttProbe = { payload: String(nextRttProbe++), sentAt: nowMs() };
+    try { p.ws.ping(p.rttProbe.payload); } catch (e) {}
+  }
+}
+
+function handleRttPong(p, data) {
+  if (!p.rttProbe || String(data) !== p.rttProbe.payload) return;
+  updateRtt(p, nowMs() - p.rttProbe.sentAt);
+  p.rttProbe = null;
+}
+
+function updateRtt(player, sample) {
+  if (!isFinite(sample) || sample < 0) return;
+  sample = Math.min(sample, 5000);
+  player.rtt = player.rtt ? player.rtt + (sample - player.rtt) * RTT_SMOOTHING : sample;
+}
+
+// The tick whose positions the caster was seeing.
+function rewindTickFor(player, world) {
+  const back = Math.round(Math.min(player.rtt || 0, MAX_REWIND_MS) * TICK_RATE / 1000);
+  return world.tick - back;
+}
+
+function rewoundPosition(world, ent, tick) {
+  return (tick < world.tick && positionAt(world.rewind, ent.id, tick)) || { x: ent.x, y: ent.y };
+}
+
+// nearestOf over `candidates` measured at their positions as of `tick`.
+function nearestRewound(world, candidates, x, y, tick, accept) {
+  let best = null, bestD = Infinity;
+  for (const ent of candidates) {
+    const pos = rewoundPosition(world, ent, tick);
+    const d = Math.hypot(pos.x - x, pos.y - y);
+    if (d < bestD && accept(ent, d)) { best = ent; bestD = d; }
+  }
+  return best ? { ent: best, d: bestD } : null;
+}
+
+// --- Anti-cheat ---
+// Casts, targets and inputs are checked as they happen; anything
+// only a modified client could produce goes through reportViolation, which
+// logs one JSON line per offense and warns, then kicks, via lib/anticheat.
+// There is no separate check on positions: the client only sends a direction,
+// which is clamped to unit length, and the server moves the player with it.
+// So the only impossible movement a client can ask for is an out-of-range
+// input vector, which is flagged as 'input_invalid'.
+
+function reportViolation(p, kind, details = {}) {
+  if (p.kicked) return;
+  const now = nowMs();
+  const { score, action } = anticheat.recordViolation(p.violations, kind, now);
+  console.warn(JSON.stringify(Object.assign({
+    event: 'violation', at: new Date(now).toISOString(), kind, playerId: p.id, name: p.baseName,
+    accountId: p.account ? p.account.id : null, matchId: playerToMatch.get(p.id) || null, score, action
+  }, details)));
+  if (action === 'warn') {
+    sendToSocket(p.ws, { t: 'violation_warning', kind, score, kickAt: anticheat.VIOLATION_KICK_AT });
+  } else if (action === 'kick') {
+    p.kicked = true;
+    sendToSocket(p.ws, { t: 'kicked', reason: 'cheating' });
+    // Dropped after the current tick or message, which may still be using it.
+    setImmediate(() => kickPlayer(p));
+  }
+}
+
+// A kicked player cannot resume: the runtime goes before the socket closes.
+function kickPlayer(p) {
+  const ws = p.ws;
+  dropPlayer(p.id);
+  if (ws) {
+    ws.playerId = null;
+    try { ws.close(4003, 'Kicked'); } catch (e) {}
+  }
+}
+
+// Why a targeted cast at `target` must be refused, or null. Targets further
+// than anything is ever sent to the caster count as a violation.
+// `pos` is where the target is taken to be (see rewoundPosition).
+function targetCastProblem(player, target, pos, def, world) {
+  const d = Math.hypot(pos.x - player.x, pos.y - player.y) - (target.radius || 0);
+  if (d > VIEW_RADIUS) {
+    reportViolation(player, 'target_out_of_view', { targetId: target.id, distance: Math.round(d) });
+    return 'out_of_range';
+  }
+  if (d > (def.range || TARGET_RANGE_DEFAULT)) return 'out_of_range';
+  if (sweepSegmentAgainstWalls(player.x, player.y, pos.x, pos.y, world.walls)) return 'no_line_of_sight';
+  return null;
+}
+
+// --- Accounts and auth ---
+// Clients first get a signed session token over HTTP:
+//   POST /auth/register { name, class } -> new account; the response also
+//        carries its accountToken, the long-lived secret used to log in
+//   POST /auth/login { accountToken }   -> session for that account
+//   POST /auth/guest { name? }          -> session for a guest whose
+//        progress is not kept
+// and present it either as ?token= on the WebSocket URL or as 'join' { token }.
+// Display names come from the account or the guest session, never from
+// 'join'. Profiles are written at match end by recordAccountResults.
+
+function corsHeaders(req, headers) {
+  const origin = req.headers.origin;
+  if (origin && (!allowedOrigins || allowedOrigins.includes(origin))) {
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers['Vary'] = 'Origin';
+  }
+  return headers;
+}
+
+function sendJson(req, res, status, body) {
+  res.writeHead(status, corsHeaders(req, { 'Content-Type': 'application/json' }));
+  res.end(JSON.stringify(body));
+}
+
+// Resolves to the parsed body, or null when it is not a JSON object or is
+// larger than `limit` bytes.
+function readJsonBody(req, limit = 4096) {
+  return new Promise((resolve) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) { resolve(null); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+        resolve(body && typeof body === 'object' && !Array.isArray(body) ? body : null);
+      } catch (e) {
+        resolve(null);
+      }
+    });
+    req.on('error', () => resolve(null));
+  });
+}
+
+function issueSession(account) {
+  return auth.signToken({ sub: account.id, name: account.name, guest: false }, AUTH_SECRET, SESSION_TTL_MS);
+}
+
+async function handleAuthRequest(req, res) {
+  const route = req.url.split('?')[0];
+  if (req.method === 'OPTIONS') {
+    const origin = req.headers.origin;
+    const headers = { 'Access-Control-Allow-Methods': 'POST', 'Access-Control-Allow-Headers': 'Content-Type' };
+    if (origin && (!allowedOrigins || allowedOrigins.includes(origin))) Object.assign(headers, { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' });
+    res.writeHead(204, headers);
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST' || !['/auth/register', '/auth/login', '/auth/guest'].includes(route)) {
+    sendJson(req, res, 404, { error: 'not_found' });
+    return;
+  }
+  const body = await readJsonBody(req);
+  if (!body) { sendJson(req, res, 400, { error: 'bad_request' }); return; }
+
+  if (route === '/auth/guest') {
+    const name = body.name == null ? 'Guest' + crypto.randomInt(1000, 10000) : auth.cleanDisplayName(body.name);
+    if (!name) { sendJson(req, res, 400, { error: 'invalid_name' }); return; }
+    const session = auth.signToken({ sub: null, name, guest: true }, AUTH_SECRET, SESSION_TTL_MS);
+    sendJson(req, res, 200, { name, guest: true, token: session.token, expiresAt: session.expiresAt });
+  } else if (route === '/auth/register') {
+    const name = auth.cleanDisplayName(body.name);
+    if (!name) { sendJson(req, res, 400, { error: 'invalid_name' }); return; }
+    const cls = typeof body.class === 'string' && SKILL_DEFS[body.class] ? body.class : null;
+    const account = await accountStore.create({ name, preferredClass: cls });
+    const session = issueSession(account);
+    sendJson(req, res, 200, { accountId: account.id, accountToken: account.token, name, token: session.token, expiresAt: session.expiresAt });
+  } else {
+    const account = typeof body.accountToken === 'string' ? await accountStore.getByToken(body.accountToken) : null;
+    if (!account) { sendJson(req, res, 401, { error: 'unknown_account' }); return; }
+    const session = issueSession(account);
+    sendJson(req, res, 200, { accountId: account.id, name: account.name, token: session.token, expiresAt: session.expiresAt });
+  }
+}
+
+// Resolves the session a 'join' runs under: its own token when it has one,
+// else the one verified at upgrade. Returns { session } or { reason }.
+function joinSession(ws, msg) {
+  if (msg.token) {
+    const v = auth.verifyToken(String(msg.token), AUTH_SECRET);
+    return v.reason ? v : { session: v.claims };
+  }
+  return ws.session ? { session: ws.session } : { reason: 'missing_token' };
+}
+
+// Returns { account } (null for a guest) or the message refusing the join.
+async function loadJoinAccount(session) {
+  if (session.guest) return { account: null };
+  const account = await accountStore.get(session.sub);
+  if (!account) return { reject: { t: 'auth_failed', reason: 'unknown_account' } };
+  for (const p of players.values()) {
+    if (p.account && p.account.id === account.id) return { reject: { t: 'join_rejected', reason: 'already_online' } };
+  }
+  return { account };
+}
+
+// Suffixes repeated names within one match ('Bob', 'Bob (2)', ...), ignoring
+// case. Names go back to normal when the match ends.
+function assignMatchNames(entrants) {
+  const taken = new Set();
+  for (const p of entrants) {
+    let name = p.baseName;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${p.baseName} (${n})`;
+    taken.add(name.toLowerCase());
+    p.name = name;
+  }
+}
 
 // --- WebSocket handling ---
 wss.on('connection', (ws, req) => {
@@ -1040,62 +3681,134 @@ wss.on('connection', (ws, req) => {
 
     console.log('connection from', req.socket.remoteAddress);
     ws.isAlive = true;
-    ws.on('pong', () => ws.isAlive = true);
+    ws.on('pong', (data) => {
+      ws.isAlive = true;
+      const p = ws.playerId ? players.get(String(ws.playerId)) : null;
+      if (p) {
+        p.lastSeen = nowMs();
+        handleRttPong(p, data);
+      }
+    });
 
     ws.authenticated = false;
     ws.playerId = null;
+    ws.binaryProtocol = ws.protocol === protocol.BINARY_SUBPROTOCOL;
+
+    const upgradeToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (upgradeToken) {
+      const v = auth.verifyToken(upgradeToken, AUTH_SECRET);
+      if (v.reason) {
+        sendToSocket(ws, { t: 'auth_failed', reason: v.reason });
+        try { ws.close(4001, 'Authentication failed'); } catch (e) {}
+        return;
+      }
+      ws.session = v.claims;
+    }
 
-    ws.on('message', async (data) => {
+    ws.on('message', async (data, isBinary) => {
       try {
-        const msg = JSON.parse(data);
+        const msg = isBinary ? protocol.decodeBinary(data) : protocol.decodeJson(data);
         if (!msg || !msg.t) return;
 
         if (!ws.authenticated) {
           if (msg.t === 'join') {
-            const name = (msg.name && String(msg.name).slice(0,24)) || ('Player' + (nextPlayerId++));
-            const p = createPlayerRuntime(ws, { name, class: (msg.class || 'warrior') });
+            if (ws.joining) return;
+            const { session, reason } = joinSession(ws, msg);
+            if (reason) { sendToSocket(ws, { t: 'auth_failed', reason }); return; }
+            ws.joining = true;
+            let loaded;
+            try { loaded = await loadJoinAccount(session); } finally { ws.joining = false; }
+            if (loaded.reject) { sendToSocket(ws, loaded.reject); return; }
+            if (ws.readyState !== WebSocket.OPEN) return;
+
+            const account = loaded.account;
+            const name = account ? account.name : session.name;
+            const cls = msg.class || (account && account.preferredClass) || 'warrior';
+            const p = createPlayerRuntime(ws, { name, class: cls });
+            if (account) {
+              p.account = account;
+              p.rating = account.rating;
+              p.ratedGames = account.ratedGames;
+            }
             ws.authenticated = true;
             ws.playerId = p.id;
             
-            try {
-              ws.send(JSON.stringify({ 
-                t:'welcome', 
-                id: p.id, 
-                mapHalf: MAP_HALF, 
-                mapSize: MAP_SIZE, 
-                mapType: MAP_TYPE, 
-                mapRadius: MAP_HALF, 
-                tickRate: TICK_RATE, 
-                walls,
-                player: { class: p.class, level: p.level, xp: p.xp, nextLevelXp: p.nextLevelXp, maxHp: p.maxHp } 
-              }));
-            } catch (e) {}
+            if (msg.protocol === 'binary') ws.binaryProtocol = true;
+            else if (msg.protocol === 'json') ws.binaryProtocol = false;
+            
+            issueResumeToken(p);
+            sendToSocket(ws, welcomeMessage(p, false));
+            return;
+          } else if (msg.t === 'resume') {
+            const p = players.get(resumeTokens.get(String(msg.token || '')));
+            if (!p) { sendToSocket(ws, { t: 'resume_failed', reason: 'unknown_token' }); return; }
+            resumePlayer(ws, p, msg);
             return;
           } else {
-            try { ws.send(JSON.stringify({ t: 'need_join' })); } catch (e) {}
+            sendToSocket(ws, { t: 'need_join' });
             return;
           }
         }
 
         const player = players.get(String(ws.playerId));
-        if (!player) return;
+        if (!player || player.kicked) return;
+        player.lastSeen = nowMs();
 
         if (msg.t === 'join_queue') {
           const mode = String(msg.mode || 'ffa');
-          addPlayerToQueue(player, mode);
+          if (!isKnownMode(mode)) { sendToSocket(ws, { t: 'queue_rejected', mode, reason: 'unknown_mode' }); return; }
+          if (playerToLobby.has(player.id)) { sendToSocket(ws, { t: 'queue_rejected', mode, reason: 'in_lobby' }); return; }
+          const reason = queuePlayerOrParty(player, mode);
+          if (reason) sendToSocket(ws, { t: 'queue_rejected', mode, reason });
           return;
         } else if (msg.t === 'cancel_queue') {
-          removePlayerFromQueue(player.id);
+          cancelQueueFor(player);
+          return;
+        } else if (msg.t.startsWith('party_')) {
+          const reason = handlePartyMessage(player, msg);
+          if (reason) sendToSocket(ws, { t: 'party_rejected', action: msg.t, reason });
+          return;
+        } else if (msg.t.startsWith('lobby_')) {
+          const reason = handleLobbyMessage(player, msg);
+          if (reason) sendToSocket(ws, { t: 'lobby_rejected', action: msg.t, reason });
+          return;
+        } else if (msg.t.startsWith('replay_')) {
+          const reason = await handleReplayMessage(player, msg);
+          if (reason) sendToSocket(ws, { t: 'replay_rejected', action: msg.t, reason });
+          return;
+        } else if (msg.t === 'spectate' || msg.t.startsWith('spectate_')) {
+          const reason = handleSpectateMessage(player, msg);
+          if (reason) sendToSocket(ws, { t: 'spectate_rejected', action: msg.t, reason });
+          return;
+        }
+
+        if (spectatorToMatch.has(player.id)) {
+          // Spectators only watch; nothing they send reaches the match.
+          if (msg.t === 'snapshot_ack') handleSnapshotAck(player, msg.seq);
+          else if (msg.t === 'ping') sendToSocket(ws, { t: 'pong', ts: msg.ts || Date.now(), rtt: Math.round(player.rtt) });
           return;
         }
         
         const matchId = playerToMatch.get(player.id);
         if (!matchId) return;
 
-        if (msg.t === 'input') {
+        if (msg.t === 'snapshot_ack') {
+          handleSnapshotAck(player, msg.seq);
+        } else if (msg.t === 'input') {
+          player.inputsThisTick++;
+          if (player.inputsThisTick === INPUT_FLOOD_PER_TICK) reportViolation(player, 'input_flood', { perTick: INPUT_FLOOD_PER_TICK });
+          if (player.inputsThisTick > INPUT_MAX_PER_TICK) return;
+          // Sequenced inputs arriving out of order are stale; unsequenced
+          // ones (older clients) always apply.
+          const seq = Number(msg.seq);
+          if (Number.isInteger(seq) && seq > 0) {
+            if (seq <= player.lastInputSeq) return;
+            player.lastInputSeq = seq;
+          }
           const input = msg.input;
           if (input && typeof input.x === 'number' && typeof input.y === 'number') {
             let x = Number(input.x), y = Number(input.y);
+            if (!isFinite(x) || !isFinite(y) || Math.hypot(x, y) > 1.5) reportViolation(player, 'input_invalid', { x: String(x), y: String(y) });
             if (!isFinite(x) || !isFinite(y)) { player.lastInput = { x:0, y:0 }; return; }
             x = Math.max(-1, Math.min(1, x)); y = Math.max(-1, Math.min(1, y));
             const len = Math.hypot(x,y);
@@ -1104,194 +3817,48 @@ wss.on('connection', (ws, req) => {
         } else if (msg.t === 'chat') {
           const now = Date.now();
           player.chatTimestamps = (player.chatTimestamps || []).filter(ts => now - ts < CHAT_WINDOW_MS);
-          if (player.chatTimestamps.length >= CHAT_MAX_PER_WINDOW) { try { ws.send(JSON.stringify({ t:'chat_blocked', reason:'rate_limit', ts: now })); } catch(e){} return; }
+          if (player.chatTimestamps.length >= CHAT_MAX_PER_WINDOW) { sendToSocket(ws, { t:'chat_blocked', reason:'rate_limit', ts: now }); return; }
           player.chatTimestamps.push(now);
           let text = String(msg.text||''); text = text.replace(/[\r\n]+/g,' ').slice(0,240);
-          broadcastToMatch(matchId, { t: 'chat', name: player.name, text, ts: now, chatId: msg.chatId || null });
+          if (msg.scope === 'team' && player.team != null) {
+            const match = matches.get(matchId);
+            const teammates = match ? Array.from(match.players.values()).filter(p => p.team === player.team) : [player];
+            sendToPlayers(teammates, { t: 'chat', name: player.name, text, ts: now, chatId: msg.chatId || null, scope: 'team' });
+          } else {
+            broadcastToMatch(matchId, { t: 'chat', name: player.name, text, ts: now, chatId: msg.chatId || null, scope: 'all' });
+          }
         } else if (msg.t === 'ping') {
-          try { ws.send(JSON.stringify({ t: 'pong', ts: msg.ts || Date.now() })); } catch(e){}
+          sendToSocket(ws, { t: 'pong', ts: msg.ts || Date.now(), rtt: Math.round(player.rtt) });
         } else if (msg.t === 'cast') {
           const slot = Math.max(1, Math.min(4, Number(msg.slot || 1)));
-          const cls = String(msg.class || player.class || 'warrior');
-          const now = Date.now();
-          player.cooldowns = player.cooldowns || {};
-          const cdKey = `s${slot}`;
-          const cooldowns = CLASS_COOLDOWNS_MS[cls] || [6000,6000,6000,6000];
-          const cdUntil = player.cooldowns[cdKey] || 0;
-          if (now < cdUntil) { try { ws.send(JSON.stringify({ t:'cast_rejected', reason:'cooldown', slot })); } catch(e){} return; }
-          if (player.hp <= 0) return;
-          const defs = SKILL_DEFS[cls] || SKILL_DEFS['warrior'];
-          const def = defs[Math.max(0, Math.min(slot-1, defs.length-1))];
-          if (!def) return;
-          const cdMs = cooldowns[Math.max(0, slot-1)] || 6000;
-          player.cooldowns[cdKey] = now + cdMs;
-
-          let angle = 0;
-          if (typeof msg.angle === 'number' && isFinite(msg.angle)) angle = Number(msg.angle);
-          const targetId = (typeof msg.targetId !== 'undefined') ? String(msg.targetId) : null;
-          const aimX = (typeof msg.aimX === 'number') ? Number(msg.aimX) : null;
-          const aimY = (typeof msg.aimY === 'number') ? Number(msg.aimY) : null;
-
-          let casterDamageMul = Number(player.damageMul || 1.0);
-          if (player.buffs && player.buffs.length) {
-            for (const b of player.buffs) if (b.type === 'damage') casterDamageMul *= (b.multiplier || 1);
-          }
-
-          if (def.kind === 'aoe_stun') {
-            const ax = player.x, ay = player.y;
-            for (const m of mobs.values()) {
-              if (m.hp <= 0) continue;
-              const d = Math.hypot(m.x - ax, m.y - ay);
-              if (d <= def.radius + (m.radius || 12)) {
-                damageMob(m, def.damage * casterDamageMul, player.id);
-                m.stunnedUntil = now + (def.stunMs || 3000);
-                broadcastToMatch(matchId, { t:'stun', id: m.id, kind: 'mob', until: m.stunnedUntil, sourceId: player.id });
-              }
-            }
-            for (const p of players.values()) {
-              if (String(p.id) === String(player.id)) continue;
-              if (p.hp <= 0) continue;
-              const d = Math.hypot(p.x - ax, p.y - ay);
-              if (d <= def.radius + (p.radius || 12)) {
-                applyDamageToPlayer(p, def.damage * casterDamageMul, player.id);
-                p.stunnedUntil = now + (def.stunMs || 3000);
-                broadcastToMatch(matchId, { t:'stun', id: p.id, kind: 'player', until: p.stunnedUntil, sourceId: player.id });
-              }
-            }
-            broadcastToMatch(matchId, { t: 'cast_effect', casterId: player.id, casterName: player.name, type: def.type || 'aoe', skill: def.type || 'aoe', x: Math.round(ax), y: Math.round(ay), radius: def.radius, damage: def.damage, buff: null });
-          } else if (def.kind === 'melee') {
-            const range = def.range || 48;
-            let closest = null; let closestD = Infinity;
-            for (const m of mobs.values()) {
-              if (m.hp <= 0) continue;
-              const d = Math.hypot(m.x - player.x, m.y - player.y);
-              if (d <= range + (m.radius || 12) && d < closestD) { closestD = d; closest = m; }
-            }
-            if (closest) {
-              damageMob(closest, def.damage * casterDamageMul, player.id);
-              broadcastToMatch(matchId, { t: 'cast_effect', casterId: player.id, casterName: player.name, type: def.type || 'melee', skill: def.type || 'melee', x: Math.round(player.x), y: Math.round(player.y), range, damage: def.damage });
-            } else {
-              for (const p2 of players.values()) {
-                if (String(p2.id) === String(player.id)) continue;
-                if (p2.hp <= 0) continue;
-                const d = Math.hypot(p2.x - player.x, p2.y - player.y);
-                if (d <= range + (p2.radius || 12) && d < closestD) { closestD = d; closest = p2; }
-              }
-              if (closest && closest.id) {
-                applyDamageToPlayer(closest, def.damage * casterDamageMul, player.id);
-                broadcastToMatch(matchId, { t: 'cast_effect', casterId: player.id, casterName: player.name, type: def.type || 'melee', skill: def.type || 'melee', x: Math.round(player.x), y: Math.round(player.y), range, damage: def.damage });
-              }
-            }
-          } else if (def.kind === 'buff') {
-            const b = def.buff;
-            if (b) {
-              player.buffs = player.buffs || [];
-              const actualDurationMs = Math.round((b.durationMs || 0) * (player.buffDurationMul || 1.0));
-              player.buffs.push({ type: b.type, until: now + (actualDurationMs || 0), multiplier: b.multiplier || 1.0 });
-              broadcastToMatch(matchId, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, buff: { type: b.type, multiplier: b.multiplier || 1.0, durationMs: actualDurationMs }, x: Math.round(player.x), y: Math.round(player.y) });
-            }
-          } else if (def.kind === 'proj_target' || def.kind === 'proj_target_stun' || def.kind === 'proj_target_explode') {
-            if (!targetId) { try { ws.send(JSON.stringify({ t:'cast_rejected', reason:'no_target', slot })); } catch(e){} return; }
-            let targetEnt = null;
-            if (mobs.has(targetId)) targetEnt = mobs.get(targetId);
-            else if (players.has(targetId)) targetEnt = players.get(targetId);
-            else { try { ws.send(JSON.stringify({ t:'cast_rejected', reason:'invalid_target', slot })); } catch(e){} return; }
-            const tx = targetEnt.x, ty = targetEnt.y;
-            const angleToTarget = Math.atan2(ty - player.y, tx - player.x);
-            const speed = def.speed || 500;
-            const vx = Math.cos(angleToTarget) * speed;
-            const vy = Math.sin(angleToTarget) * speed;
-            const id = 'proj_' + (nextProjId++);
-            const ttl = (def.ttlMs ? now + def.ttlMs : now + 3000);
-            const proj = { id, type: def.type || 'proj', x: player.x, y: player.y, vx, vy, radius: def.radius || 6, ownerId: player.id, damage: (def.damage || 10) * casterDamageMul, ttl, kind: 'target', targetId: targetId, stunMs: def.stunMs || 0 };
-            projectiles.set(id, proj);
-            broadcastToMatch(matchId, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, x: Math.round(player.x), y: Math.round(player.y), targetId });
-          } else if (def.kind === 'proj_burst') {
-            const aimAngle = (typeof msg.angle === 'number') ? Number(msg.angle) : 0;
-            const count = def.count || 3;
-            const spread = (def.spreadDeg || 12) * Math.PI / 180;
-            for (let n = 0; n < count; n++) {
-              const offset = ((n - (count-1)/2) / (count-1)) * spread;
-              const angle = aimAngle + offset + (Math.random()*0.02 - 0.01);
-              const speed = def.speed || 500;
-              const vx = Math.cos(angle) * speed, vy = Math.sin(angle) * speed;
-              const id = 'proj_' + (nextProjId++);
-              const ttl = (def.ttlMs ? now + def.ttlMs : now + 3000);
-              const proj = { id, type: def.type || 'proj', x: player.x, y: player.y, vx, vy, radius: def.radius || 6, ownerId: player.id, damage: (def.damage || 10) * casterDamageMul, ttl, kind: 'burst' };
-              projectiles.set(id, proj);
-            }
-            broadcastToMatch(matchId, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, x: Math.round(player.x), y: Math.round(player.y) });
-          } else if (def.kind === 'proj_aoe_spread') {
-            let aimAngle = (typeof msg.angle === 'number') ? Number(msg.angle) : 0;
-            if (typeof aimX === 'number' && typeof aimY === 'number') aimAngle = Math.atan2(aimY - player.y, aimX - player.x);
-            const count = def.count || 5;
-            const spread = (def.spreadDeg || 45) * Math.PI / 180;
-            for (let n = 0; n < count; n++) {
-              const offset = (Math.random() - 0.5) * spread;
-              const angle = aimAngle + offset;
-              const speed = def.speed || 400;
-              const vx = Math.cos(angle) * speed, vy = Math.sin(angle) * speed;
-              const id = 'proj_' + (nextProjId++);
-              const ttl = (def.ttlMs ? now + def.ttlMs : now + 3000);
-              const proj = { id, type: def.type || 'proj', x: player.x, y: player.y, vx, vy, radius: def.radius || 6, ownerId: player.id, damage: (def.damage || 10) * casterDamageMul, ttl, kind: 'arcane' };
-              projectiles.set(id, proj);
-            }
-            broadcastToMatch(matchId, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, x: Math.round(player.x), y: Math.round(player.y) });
-          } else {
-            const ax = player.x, ay = player.y;
-            for (const m of mobs.values()) {
-              if (m.hp <= 0) continue;
-              const d = Math.hypot(m.x - ax, m.y - ay);
-              if (d <= (def.radius || 48) + (m.radius || 12)) damageMob(m, def.damage * casterDamageMul, player.id);
-            }
-            for (const p2 of players.values()) {
-              if (String(p2.id) === String(player.id)) continue;
-              if (p2.hp <= 0) continue;
-              const d = Math.hypot(p2.x - ax, p2.y - ay);
-              if (d <= (def.radius || 48) + (p2.radius || 12)) applyDamageToPlayer(p2, def.damage * casterDamageMul, player.id);
-            }
-            broadcastToMatch(matchId, { t:'cast_effect', casterId: player.id, casterName: player.name, type: def.type, skill: def.type, x: Math.round(ax), y: Math.round(ay), radius: def.radius, damage: def.damage });
+          const cls = player.class || 'warrior';
+          if (msg.class != null && String(msg.class) !== cls) {
+            reportViolation(player, 'class_mismatch', { sent: String(msg.class).slice(0, 24), slot });
+            sendToSocket(ws, { t:'cast_rejected', reason:'wrong_class', slot });
+            return;
           }
-        } else if (msg.t === 'equip') {
-          const slot = Math.max(0, Math.min(5 - 1, Number(msg.slot || 0)));
-          const item = (msg.item && typeof msg.item === 'object') ? msg.item : null;
-          player.equipment = player.equipment || new Array(5).fill(null);
-          if (item) player.equipment[slot] = item;
-          else player.equipment[slot] = null;
-          applyEquipmentBonusesForPlayer(player);
-          try { ws.send(JSON.stringify({ t: 'equip_ack', slot, item: player.equipment[slot] })); } catch (e) {}
+          queuePlayerAction(player, msg);
+        } else if (msg.t === 'equip' || msg.t === 'pickup' || msg.t === 'shop_buy') {
+          queuePlayerAction(player, msg);
+        } else if (msg.t === 'shop_list') {
+          sendToSocket(ws, { t: 'shop_list', stock: shop.shopListing(), zone: SHOP_REQUIRE_ZONE ? shopZone() : null, gold: player.gold || 0 });
         }
       } catch (err) {
         console.error('Error handling WS message:', err);
-        try { ws.send(JSON.stringify({ t: 'server_error', error: String(err && err.message ? err.message : err) })); } catch(e){}
+        sendToSocket(ws, { t: 'server_error', error: String(err && err.message ? err.message : err) });
       }
     });
 
     ws.on('close', () => {
-      if (ws.playerId) {
-        console.log('disconnect', ws.playerId);
-        removePlayerFromQueue(ws.playerId);
-        const matchId = playerToMatch.get(ws.playerId);
-        if (matchId) {
-          const match = matches.get(matchId);
-          if (match) {
-            match.players.delete(ws.playerId);
-            if (match.players.size === 0) {
-              matches.delete(matchId);
-            }
-          }
-          playerToMatch.delete(ws.playerId);
-        }
-        players.delete(String(ws.playerId));
-      }
+      if (!ws.playerId) return;
+      console.log('disconnect', ws.playerId);
+      const p = players.get(String(ws.playerId));
+      if (p && p.ws === ws) suspendPlayer(p);
     });
 
+    // 'close' always follows 'error', and does the cleanup.
     ws.on('error', (err) => {
-      if (ws.playerId) {
-        removePlayerFromQueue(ws.playerId);
-        playerToMatch.delete(ws.playerId);
-        players.delete(String(ws.playerId));
-      }
+      console.warn('socket error', ws.playerId, err && err.message);
     });
   } catch (outerErr) {
     console.error('Unhandled error in connection handler:', outerErr);
@@ -1299,17 +3866,53 @@ wss.on('connection', (ws, req) => {
   }
 });
 
+let tickLoop = null;
+let heartbeatInterval = null;
+let rttInterval = null;
+
 function shutdown() {
   console.log('Shutting down...');
+  try { if (tickLoop) tickLoop.stop(); } catch(e){}
   try { clearInterval(heartbeatInterval); } catch(e){}
+  try { clearInterval(rttInterval); } catch(e){}
   try { wss.close(() => {}); } catch(e){}
   try { server.close(() => { process.exit(0); }); } catch(e) { process.exit(0); }
   setTimeout(() => process.exit(0), 5000);
 }
 
-process.on('SIGTERM', shutdown);
-process.on('SIGINT', shutdown);
-process.on('uncaughtException', (err) => console.error('Uncaught exception:', err));
-process.on('unhandledRejection', (reason, p) => console.error('Unhandled rejection at:', p, 'reason:', reason));
+function startServer() {
+  tickLoop = createFixedStepLoop({
+    stepMs: TICK_MS,
+    step: serverTick,
+    maxCatchUp: MAX_CATCHUP_TICKS,
+    onDrop: n => console.warn(`Server fell behind; skipped ${n} tick(s)`)
+  });
+  tickLoop.start();
+  heartbeatInterval = setInterval(heartbeatTick, HEARTBEAT_INTERVAL_MS);
+  rttInterval = setInterval(probeRtt, RTT_PROBE_INTERVAL_MS);
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+  process.on('uncaughtException', (err) => console.error('Uncaught exception:', err));
+  process.on('unhandledRejection', (reason, p) => console.error('Unhandled rejection at:', p, 'reason:', reason));
+
+  if (!process.env.MOBORR_AUTH_SECRET) console.warn('MOBORR_AUTH_SECRET is not set; session tokens will not survive a restart');
+  server.listen(PORT, () => { console.log(`Moborr server listening on port ${PORT}`); });
+}
+
+// The simulation pieces are exported so tools (e.g. bench/tick-bench.js) can
+// drive a match world without opening any sockets.
+module.exports = {
+  CELL,
+  mobDefs,
+  mobSpawnPoints,
+  matches,
+  createPlayerRuntime,
+  createMatchWorld,
+  destroyMatchWorld,
+  spawnMobAt,
+  shopZone,
+  tickMatchWorld
+};
 
-server.listen(PORT, () => { console.log(`Moborr server listening on port ${PORT}`); });
+if (require.main === module) startServer();
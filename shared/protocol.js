@@ -0,0 +1,536 @@
+// Moborr.io wire protocol — shared by the server and the browser client.
+//
+// Two encodings are supported for every message `{ t, ... }`:
+//  - JSON (the default and debugging fallback): JSON.stringify / JSON.parse.
+//  - Binary: a compact frame driven by the per-type schemas below.
+//
+// Binary frame layout:
+//   [u8 PROTOCOL_VERSION][uvarint typeId][uvarint schemaVersion][body]
+// The body is the message encoded as a struct of that type's fields. A struct
+// starts with a 2-bit-per-field state table (absent / present / null), then
+// the values of the present fields in schema order, then an "extras" section
+// holding any keys that are not in the schema — or whose value does not fit
+// the declared type — as tagged values. Nothing is ever dropped, so new keys
+// can be sent before either side's schema knows them; bump a type's `v`
+// whenever its field list (or that of a struct it nests) changes, since the
+// state table is sized from it.
+//
+// Messages whose `t` has no schema are sent with typeId 0 and a tagged body.
+//
+// Field types:
+//   'int'   zigzag varint (integers up to 2^53)
+//   'uint'  unsigned varint
+//   'f32'   float32 (lossy; only used for values that are clamped anyway)
+//   'f64'   float64
+//   'num'   tagged number (varint when integral, float64 otherwise)
+//   'bool', 'str', 'any' (tagged JSON-like value)
+//   ['array', T]           array of T
+//   { fields: [[name, T], ...] }   nested struct
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MoborrProtocol = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PROTOCOL_VERSION = 1;
+  const BINARY_SUBPROTOCOL = 'moborr.bin.v1';
+  const JSON_SUBPROTOCOL = 'moborr.json';
+
+  // --- Shared sub-structs ---
+  const point = { fields: [['x', 'int'], ['y', 'int']] };
+  const wall = { fields: [['id', 'str'], ['points', ['array', point]], ['x', 'int'], ['y', 'int'], ['w', 'int'], ['h', 'int']] };
+  const lobbyPlayer = { fields: [['id', 'str'], ['name', 'str']] };
+  const leaderboardEntry = { fields: [['playerId', 'str'], ['playerName', 'str'], ['kills', 'uint']] };
+  const snapshotPlayer = { fields: [
+    ['id', 'str'], ['name', 'str'], ['x', 'int'], ['y', 'int'], ['vx', 'int'], ['vy', 'int'], ['radius', 'uint'],
+    ['color', 'str'], ['hp', 'int'], ['maxHp', 'int'], ['level', 'uint'], ['xp', 'int'], ['nextLevelXp', 'int'], ['kills', 'uint'],
+    ['team', 'uint']
+  ] };
+  const snapshotMob = { fields: [
+    ['id', 'str'], ['type', 'str'], ['x', 'int'], ['y', 'int'], ['hp', 'int'], ['maxHp', 'int'], ['radius', 'uint'], ['stunnedUntil', 'uint'],
+    ['state', 'str'], ['phase', 'uint']
+  ] };
+  const snapshotProjectile = { fields: [
+    ['id', 'str'], ['type', 'str'], ['x', 'int'], ['y', 'int'], ['vx', 'int'], ['vy', 'int'], ['radius', 'uint'], ['owner', 'str'], ['ttl', 'uint']
+  ] };
+  const snapshotItem = { fields: [
+    ['id', 'str'], ['itemId', 'str'], ['rarity', 'str'], ['x', 'int'], ['y', 'int'], ['ownerId', 'str'], ['ownerUntil', 'uint']
+  ] };
+  const removedIds = { fields: [
+    ['players', ['array', 'str']], ['mobs', ['array', 'str']], ['projectiles', ['array', 'str']], ['items', ['array', 'str']]
+  ] };
+  const team = { fields: [['id', 'uint'], ['name', 'str'], ['color', 'str'], ['playerIds', ['array', 'str']]] };
+  const zone = { fields: [['x', 'int'], ['y', 'int'], ['radius', 'uint']] };
+  // Game-mode objective state; each objective kind fills the fields it uses.
+  const objective = { fields: [
+    ['kind', 'str'], ['scoreCap', 'uint'], ['scores', ['array', { fields: [['side', 'str'], ['name', 'str'], ['score', 'uint']] }]],
+    ['zones', ['array', { fields: [
+      ['id', 'str'], ['x', 'int'], ['y', 'int'], ['radius', 'uint'], ['owner', 'str'], ['capturingSide', 'str'], ['progress', 'uint'], ['contested', 'bool']
+    ] }]],
+    ['winner', 'str'],
+    ['zone', zone], ['nextZone', zone], ['stage', 'uint'], ['nextShrinkAt', 'uint'], ['shrinkEndsAt', 'uint'], ['damagePct', 'uint'],
+    ['alive', 'uint'], ['placements', ['array', { fields: [['playerId', 'str'], ['name', 'str'], ['placement', 'uint']] }]],
+    ['wave', 'uint'], ['wavesSurvived', 'uint'], ['phase', 'str'], ['nextWaveAt', 'uint'], ['mobsLeft', 'uint'], ['lives', 'uint']
+  ] };
+  const party = { fields: [['id', 'str'], ['leaderId', 'str'], ['members', ['array', lobbyPlayer]], ['invited', ['array', 'str']]] };
+  const lobbyRules = { fields: [
+    ['mode', 'str'], ['durationMs', 'uint'], ['maxPlayers', 'uint'], ['allowedClasses', ['array', 'str']], ['mobDensity', 'f64']
+  ] };
+  const lobby = { fields: [
+    ['code', 'str'], ['hostId', 'str'], ['players', ['array', { fields: [['id', 'str'], ['name', 'str'], ['class', 'str']] }]],
+    ['rules', lobbyRules], ['matchId', 'str']
+  ] };
+  const profile = { fields: [
+    ['id', 'str'], ['name', 'str'], ['rating', 'int'], ['preferredClass', 'str'],
+    ['stats', { fields: [['kills', 'uint'], ['deaths', 'uint'], ['matchesPlayed', 'uint'], ['wins', 'uint']] }],
+    ['cosmetics', ['array', 'str']]
+  ] };
+  const buff = { fields: [['type', 'str'], ['multiplier', 'f64'], ['durationMs', 'uint']] };
+  // Shared by 'match_start' and 'spectate_start'.
+  const matchStartFields = [
+    ['matchId', 'str'], ['mode', 'str'], ['mapHalf', 'int'], ['mapSize', 'int'], ['mapType', 'str'], ['mapRadius', 'int'],
+    ['tickRate', 'uint'], ['matchDurationMs', 'uint'], ['walls', ['array', wall]], ['shopZone', zone],
+    ['teams', ['array', team]], ['objective', objective], ['lobbyCode', 'str'], ['startedAt', 'uint']
+  ];
+  const itemInstance = { fields: [['uid', 'str'], ['itemId', 'str'], ['name', 'str'], ['slot', 'str'], ['rarity', 'str'], ['stats', 'any']] };
+
+  // --- Message schemas (typeId is the array index + 1; never reorder, only append) ---
+  const MESSAGE_SCHEMAS = [
+    // client -> server
+    { t: 'join', v: 3, fields: [['class', 'str'], ['protocol', 'str'], ['token', 'str']] },
+    { t: 'join_queue', v: 1, fields: [['mode', 'str']] },
+    { t: 'cancel_queue', v: 1, fields: [] },
+    { t: 'input', v: 2, fields: [['input', { fields: [['x', 'f32'], ['y', 'f32']] }], ['seq', 'uint']] },
+    { t: 'chat', v: 2, fields: [['text', 'str'], ['chatId', 'any'], ['name', 'str'], ['ts', 'uint'], ['scope', 'str']] },
+    { t: 'ping', v: 2, fields: [['ts', 'num'], ['rtt', 'f64']] },
+    { t: 'cast', v: 1, fields: [['slot', 'uint'], ['class', 'str'], ['angle', 'f64'], ['targetId', 'any'], ['aimX', 'f64'], ['aimY', 'f64']] },
+    { t: 'equip', v: 2, fields: [['slot', 'uint'], ['itemUid', 'str']] },
+    { t: 'snapshot_ack', v: 1, fields: [['seq', 'uint']] },
+
+    // server -> client
+    { t: 'welcome', v: 4, fields: [
+      ['id', 'str'], ['mapHalf', 'int'], ['mapSize', 'int'], ['mapType', 'str'], ['mapRadius', 'int'], ['tickRate', 'uint'],
+      ['walls', ['array', wall]], ['protocol', 'str'],
+      ['player', { fields: [['class', 'str'], ['level', 'uint'], ['xp', 'num'], ['nextLevelXp', 'uint'], ['maxHp', 'uint'], ['gold', 'uint'], ['hp', 'int']] }],
+      ['resumeToken', 'str'], ['resumeGraceMs', 'uint'], ['resumed', 'bool'], ['account', profile]
+    ] },
+    { t: 'need_join', v: 1, fields: [] },
+    { t: 'queue_update', v: 1, fields: [['mode', 'str'], ['players', ['array', lobbyPlayer]], ['count', 'uint'], ['reason', 'str']] },
+    { t: 'match_created', v: 1, fields: [['mode', 'str'], ['matchId', 'str'], ['countdownMs', 'uint']] },
+    { t: 'match_countdown', v: 1, fields: [['mode', 'str'], ['remainingMs', 'uint'], ['players', ['array', lobbyPlayer]], ['reason', 'str']] },
+    { t: 'match_start', v: 8, fields: matchStartFields },
+    { t: 'snapshot', v: 9, fields: [
+      ['tick', 'uint'], ['ackInput', 'uint'], ['seq', 'uint'], ['baseSeq', 'uint'], ['full', 'bool'],
+      ['players', ['array', snapshotPlayer]], ['mobs', ['array', snapshotMob]], ['projectiles', ['array', snapshotProjectile]],
+      ['removed', removedIds], ['leaderboard', ['array', leaderboardEntry]], ['items', ['array', snapshotItem]],
+      ['objective', objective]
+    ] },
+    { t: 'chat_blocked', v: 1, fields: [['reason', 'str'], ['ts', 'uint']] },
+    { t: 'pong', v: 2, fields: [['ts', 'num'], ['rtt', 'uint']] },
+    { t: 'cast_rejected', v: 1, fields: [['reason', 'str'], ['slot', 'uint']] },
+    { t: 'cast_effect', v: 1, fields: [
+      ['casterId', 'str'], ['casterName', 'str'], ['type', 'str'], ['skill', 'str'], ['x', 'int'], ['y', 'int'],
+      ['radius', 'num'], ['range', 'num'], ['damage', 'num'], ['targetId', 'str'],
+      ['buff', buff]
+    ] },
+    { t: 'stun', v: 1, fields: [['id', 'str'], ['kind', 'str'], ['until', 'uint'], ['sourceId', 'str']] },
+    { t: 'mob_hurt', v: 1, fields: [['mobId', 'str'], ['hp', 'int'], ['damage', 'int'], ['sourceId', 'str']] },
+    { t: 'mob_died', v: 1, fields: [
+      ['mobId', 'str'], ['mobType', 'str'], ['killerId', 'str'], ['gold', 'uint'], ['xp', 'uint'], ['leaderboard', ['array', leaderboardEntry]]
+    ] },
+    { t: 'player_died', v: 1, fields: [['id', 'str'], ['killerId', 'str']] },
+    { t: 'player_hurt', v: 1, fields: [['id', 'str'], ['hp', 'int'], ['source', 'str'], ['damage', 'int']] },
+    { t: 'player_healed', v: 1, fields: [['id', 'str'], ['hp', 'int'], ['amount', 'int']] },
+    { t: 'player_levelup', v: 1, fields: [
+      ['playerName', 'str'], ['level', 'uint'], ['hpGain', 'int'], ['newHp', 'int'], ['newMaxHp', 'int'], ['xp', 'int'],
+      ['nextLevelXp', 'int'], ['damageMul', 'f64'], ['buffDurationMul', 'f64']
+    ] },
+    { t: 'equip_ack', v: 2, fields: [['slot', 'uint'], ['item', itemInstance]] },
+    { t: 'match_ended', v: 5, fields: [
+      ['matchId', 'str'], ['leaderboard', ['array', leaderboardEntry]], ['endTime', 'uint'],
+      ['teams', ['array', { fields: [['team', 'uint'], ['name', 'str'], ['kills', 'uint'], ['playerIds', ['array', 'str']]] }]],
+      ['reason', 'str'], ['objective', objective]
+    ] },
+    { t: 'server_error', v: 1, fields: [['error', 'str']] },
+    { t: 'proj_wall', v: 1, fields: [['id', 'str'], ['x', 'int'], ['y', 'int'], ['bounced', 'bool']] },
+    { t: 'mob_state', v: 1, fields: [['mobId', 'str'], ['state', 'str'], ['targetId', 'str']] },
+    { t: 'mob_ability', v: 2, fields: [
+      ['mobId', 'str'], ['ability', 'str'], ['phase', 'str'], ['x', 'int'], ['y', 'int'], ['radius', 'uint'], ['until', 'uint'], ['hits', ['array', 'str']],
+      ['spawned', ['array', 'str']]
+    ] },
+    { t: 'boss_incoming', v: 1, fields: [['mobType', 'str'], ['name', 'str'], ['x', 'int'], ['y', 'int'], ['spawnAt', 'uint']] },
+    { t: 'boss_spawned', v: 1, fields: [['mobId', 'str'], ['mobType', 'str'], ['name', 'str'], ['x', 'int'], ['y', 'int'], ['maxHp', 'uint']] },
+    { t: 'boss_phase', v: 1, fields: [['mobId', 'str'], ['mobType', 'str'], ['phase', 'uint'], ['name', 'str'], ['hp', 'int']] },
+    { t: 'boss_defeated', v: 1, fields: [
+      ['mobId', 'str'], ['mobType', 'str'], ['name', 'str'], ['killerId', 'str'],
+      ['rewards', ['array', { fields: [['playerId', 'str'], ['gold', 'uint'], ['xp', 'uint'], ['damage', 'uint']] }]]
+    ] },
+    { t: 'pickup', v: 1, fields: [['id', 'str']] },
+    { t: 'pickup_rejected', v: 1, fields: [['reason', 'str'], ['id', 'str']] },
+    { t: 'equip_rejected', v: 1, fields: [['reason', 'str'], ['itemUid', 'str']] },
+    { t: 'inventory', v: 1, fields: [['items', ['array', itemInstance]], ['equipment', ['array', 'any']], ['capacity', 'uint']] },
+    // Sent empty by the client; the server answers with the same type.
+    { t: 'shop_list', v: 1, fields: [
+      ['stock', ['array', { fields: [
+        ['id', 'str'], ['kind', 'str'], ['price', 'uint'], ['name', 'str'], ['itemId', 'str'], ['slot', 'str'], ['rarity', 'str'],
+        ['statRanges', 'any'], ['effect', 'any']
+      ] }]],
+      ['zone', zone], ['gold', 'uint']
+    ] },
+    { t: 'shop_buy', v: 1, fields: [['stockId', 'str']] },
+    { t: 'shop_ack', v: 1, fields: [
+      ['stockId', 'str'], ['price', 'uint'], ['gold', 'uint'], ['item', itemInstance], ['heal', 'uint'], ['buff', buff]
+    ] },
+    { t: 'shop_rejected', v: 1, fields: [['stockId', 'str'], ['reason', 'str']] },
+    { t: 'queue_rejected', v: 1, fields: [['mode', 'str'], ['reason', 'str']] },
+    { t: 'zone_captured', v: 1, fields: [['zoneId', 'str'], ['side', 'str'], ['name', 'str']] },
+    { t: 'player_eliminated', v: 1, fields: [['id', 'str'], ['name', 'str'], ['placement', 'uint'], ['remaining', 'uint']] },
+    { t: 'wave_started', v: 1, fields: [['wave', 'uint'], ['mobCount', 'uint'], ['hpMul', 'f64'], ['atkMul', 'f64']] },
+    { t: 'wave_cleared', v: 1, fields: [['wave', 'uint'], ['nextWaveAt', 'uint'], ['lives', 'uint']] },
+    { t: 'rating_update', v: 1, fields: [['matchId', 'str'], ['rating', 'int'], ['delta', 'int'], ['games', 'uint']] },
+    { t: 'party_create', v: 1, fields: [] },
+    { t: 'party_invite', v: 1, fields: [['playerId', 'str']] },
+    { t: 'party_accept', v: 1, fields: [['partyId', 'str']] },
+    { t: 'party_leave', v: 1, fields: [] },
+    { t: 'party_kick', v: 1, fields: [['playerId', 'str']] },
+    { t: 'party_update', v: 1, fields: [['party', party], ['reason', 'str'], ['playerId', 'str']] },
+    { t: 'party_invited', v: 1, fields: [['partyId', 'str'], ['fromId', 'str'], ['fromName', 'str']] },
+    { t: 'party_rejected', v: 1, fields: [['action', 'str'], ['reason', 'str']] },
+    { t: 'lobby_create', v: 1, fields: [['rules', lobbyRules]] },
+    { t: 'lobby_join', v: 1, fields: [['code', 'str']] },
+    { t: 'lobby_leave', v: 1, fields: [] },
+    { t: 'lobby_rules', v: 1, fields: [['rules', lobbyRules]] },
+    { t: 'lobby_start', v: 1, fields: [] },
+    { t: 'lobby_update', v: 1, fields: [['lobby', lobby], ['reason', 'str'], ['playerId', 'str']] },
+    { t: 'lobby_rejected', v: 1, fields: [['action', 'str'], ['reason', 'str']] },
+    { t: 'resume', v: 1, fields: [['token', 'str'], ['protocol', 'str']] },
+    { t: 'resume_failed', v: 1, fields: [['reason', 'str']] },
+    { t: 'join_rejected', v: 1, fields: [['reason', 'str']] },
+    { t: 'profile', v: 1, fields: [['matchId', 'str'], ['profile', profile], ['unlocked', ['array', 'str']]] },
+    { t: 'auth_failed', v: 1, fields: [['reason', 'str']] },
+    { t: 'violation_warning', v: 1, fields: [['kind', 'str'], ['score', 'f64'], ['kickAt', 'uint']] },
+    { t: 'kicked', v: 1, fields: [['reason', 'str']] },
+    { t: 'replay_watch', v: 1, fields: [['replayId', 'str'], ['speed', 'f64'], ['fromMs', 'uint']] },
+    // Sent by the client to change speed; the server answers with the speed used.
+    { t: 'replay_speed', v: 1, fields: [['speed', 'f64']] },
+    { t: 'replay_stop', v: 1, fields: [] },
+    { t: 'replay_start', v: 1, fields: [
+      ['replayId', 'str'], ['matchId', 'str'], ['mode', 'str'], ['startedAt', 'uint'], ['durationMs', 'uint'], ['tickRate', 'uint'],
+      ['startTick', 'uint'], ['mapHalf', 'int'], ['mapType', 'str'], ['walls', ['array', wall]], ['teams', ['array', team]],
+      ['players', ['array', { fields: [['id', 'str'], ['name', 'str'], ['class', 'str'], ['team', 'uint'], ['accountId', 'str']] }]],
+      ['speed', 'f64'], ['fromTick', 'uint']
+    ] },
+    { t: 'replay_input', v: 1, fields: [['tick', 'uint'], ['id', 'str'], ['x', 'f32'], ['y', 'f32']] },
+    { t: 'replay_cast', v: 2, fields: [
+      ['tick', 'uint'], ['id', 'str'], ['slot', 'uint'], ['angle', 'f64'], ['targetId', 'any'], ['aimX', 'f64'], ['aimY', 'f64'],
+      ['rewindTick', 'int']
+    ] },
+    { t: 'replay_frame', v: 1, fields: [
+      ['tick', 'uint'], ['time', 'uint'], ['full', 'bool'],
+      ['players', ['array', snapshotPlayer]], ['mobs', ['array', snapshotMob]], ['projectiles', ['array', snapshotProjectile]],
+      ['removed', removedIds], ['leaderboard', ['array', leaderboardEntry]], ['items', ['array', snapshotItem]],
+      ['objective', objective]
+    ] },
+    { t: 'replay_end', v: 1, fields: [['replayId', 'str'], ['reason', 'str'], ['leaderboard', ['array', leaderboardEntry]]] },
+    { t: 'replay_rejected', v: 1, fields: [['action', 'str'], ['reason', 'str']] },
+    { t: 'spectate', v: 1, fields: [['matchId', 'str'], ['followId', 'str']] },
+    { t: 'spectate_follow', v: 1, fields: [['playerId', 'str']] },
+    { t: 'spectate_stop', v: 1, fields: [] },
+    { t: 'spectate_start', v: 1, fields: matchStartFields.concat([['followId', 'str']]) },
+    { t: 'spectate_update', v: 1, fields: [['matchId', 'str'], ['followId', 'str'], ['reason', 'str']] },
+    { t: 'spectate_rejected', v: 1, fields: [['action', 'str'], ['reason', 'str']] },
+    { t: 'replay_equip', v: 1, fields: [['tick', 'uint'], ['id', 'str'], ['slot', 'uint'], ['itemUid', 'str']] },
+    { t: 'replay_pickup', v: 1, fields: [['tick', 'uint'], ['id', 'str'], ['groundItemId', 'str']] },
+    { t: 'replay_buy', v: 1, fields: [['tick', 'uint'], ['id', 'str'], ['stockId', 'str']] }
+  ];
+
+  const schemaByType = new Map();
+  MESSAGE_SCHEMAS.forEach((schema, i) => {
+    schema.id = i + 1;
+    schemaByType.set(schema.t, schema);
+  });
+
+  // --- Byte writer / reader ---
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  function createWriter() {
+    return { buf: new Uint8Array(256), view: null, pos: 0 };
+  }
+
+  function ensure(w, n) {
+    if (w.pos + n <= w.buf.length) return;
+    let size = w.buf.length * 2;
+    while (size < w.pos + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(w.buf.subarray(0, w.pos));
+    w.buf = next;
+    w.view = null;
+  }
+
+  function dataView(w) {
+    if (!w.view) w.view = new DataView(w.buf.buffer, w.buf.byteOffset, w.buf.byteLength);
+    return w.view;
+  }
+
+  function writeU8(w, v) { ensure(w, 1); w.buf[w.pos++] = v & 0xff; }
+
+  // Arithmetic rather than bitwise so values above 2^32 (e.g. ms timestamps) survive.
+  function writeUVarint(w, v) {
+    v = Math.floor(v);
+    while (v >= 0x80) { writeU8(w, (v % 0x80) | 0x80); v = Math.floor(v / 0x80); }
+    writeU8(w, v);
+  }
+  function writeVarint(w, v) { writeUVarint(w, v >= 0 ? v * 2 : -v * 2 - 1); }
+  function writeF32(w, v) { ensure(w, 4); dataView(w).setFloat32(w.pos, v, true); w.pos += 4; }
+  function writeF64(w, v) { ensure(w, 8); dataView(w).setFloat64(w.pos, v, true); w.pos += 8; }
+  function writeStr(w, s) {
+    const bytes = textEncoder.encode(s);
+    writeUVarint(w, bytes.length);
+    ensure(w, bytes.length);
+    w.buf.set(bytes, w.pos);
+    w.pos += bytes.length;
+  }
+
+  function createReader(bytes) {
+    return { buf: bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), pos: 0 };
+  }
+
+  function readU8(r) {
+    if (r.pos >= r.buf.length) throw new Error('protocol: unexpected end of frame');
+    return r.buf[r.pos++];
+  }
+  function readUVarint(r) {
+    let result = 0, mul = 1, b;
+    do {
+      b = readU8(r);
+      result += (b & 0x7f) * mul;
+      mul *= 0x80;
+    } while (b & 0x80);
+    return result;
+  }
+  function readVarint(r) { const u = readUVarint(r); return u % 2 === 0 ? u / 2 : -(u + 1) / 2; }
+  function readF32(r) {
+    if (r.pos + 4 > r.buf.length) throw new Error('protocol: unexpected end of frame');
+    const v = r.view.getFloat32(r.pos, true); r.pos += 4; return v;
+  }
+  function readF64(r) {
+    if (r.pos + 8 > r.buf.length) throw new Error('protocol: unexpected end of frame');
+    const v = r.view.getFloat64(r.pos, true); r.pos += 8; return v;
+  }
+  function readStr(r) {
+    const len = readUVarint(r);
+    if (r.pos + len > r.buf.length) throw new Error('protocol: string overruns frame');
+    const s = textDecoder.decode(r.buf.subarray(r.pos, r.pos + len));
+    r.pos += len;
+    return s;
+  }
+
+  // --- Tagged ("any") values ---
+  const TAG_NULL = 0, TAG_FALSE = 1, TAG_TRUE = 2, TAG_INT = 3, TAG_F64 = 4, TAG_STR = 5, TAG_ARRAY = 6, TAG_OBJECT = 7;
+
+  function isSafeInt(v) { return Number.isInteger(v) && Math.abs(v) <= Number.MAX_SAFE_INTEGER; }
+
+  function writeAny(w, v) {
+    if (v === null || v === undefined) writeU8(w, TAG_NULL);
+    else if (v === false) writeU8(w, TAG_FALSE);
+    else if (v === true) writeU8(w, TAG_TRUE);
+    else if (typeof v === 'number') {
+      if (isSafeInt(v) && !Object.is(v, -0)) { writeU8(w, TAG_INT); writeVarint(w, v); } else { writeU8(w, TAG_F64); writeF64(w, v); }
+    } else if (typeof v === 'string') { writeU8(w, TAG_STR); writeStr(w, v); }
+    else if (Array.isArray(v)) {
+      writeU8(w, TAG_ARRAY);
+      writeUVarint(w, v.length);
+      for (const item of v) writeAny(w, item);
+    } else if (typeof v === 'object') {
+      const keys = Object.keys(v).filter(k => v[k] !== undefined);
+      writeU8(w, TAG_OBJECT);
+      writeUVarint(w, keys.length);
+      for (const k of keys) { writeStr(w, k); writeAny(w, v[k]); }
+    } else {
+      writeU8(w, TAG_NULL);
+    }
+  }
+
+  function readAny(r) {
+    const tag = readU8(r);
+    switch (tag) {
+      case TAG_NULL: return null;
+      case TAG_FALSE: return false;
+      case TAG_TRUE: return true;
+      case TAG_INT: return readVarint(r);
+      case TAG_F64: return readF64(r);
+      case TAG_STR: return readStr(r);
+      case TAG_ARRAY: {
+        const n = readUVarint(r);
+        const arr = new Array(n);
+        for (let i = 0; i < n; i++) arr[i] = readAny(r);
+        return arr;
+      }
+      case TAG_OBJECT: {
+        const n = readUVarint(r);
+        const obj = {};
+        for (let i = 0; i < n; i++) { const k = readStr(r); obj[k] = readAny(r); }
+        return obj;
+      }
+      default: throw new Error('protocol: unknown value tag ' + tag);
+    }
+  }
+
+  // --- Typed values ---
+  function fitsType(type, v) {
+    if (Array.isArray(type)) return Array.isArray(v) && v.every(item => fitsType(type[1], item));
+    if (typeof type === 'object') return typeof v === 'object' && v !== null && !Array.isArray(v);
+    switch (type) {
+      case 'int': return isSafeInt(v);
+      case 'uint': return isSafeInt(v) && v >= 0;
+      case 'f32': case 'f64': case 'num': return typeof v === 'number';
+      case 'bool': return typeof v === 'boolean';
+      case 'str': return typeof v === 'string';
+      case 'any': return true;
+      default: return false;
+    }
+  }
+
+  function writeTyped(w, type, v) {
+    if (Array.isArray(type)) {
+      writeUVarint(w, v.length);
+      for (const item of v) writeTyped(w, type[1], item);
+      return;
+    }
+    if (typeof type === 'object') { writeStruct(w, type.fields, v); return; }
+    switch (type) {
+      case 'int': writeVarint(w, v); break;
+      case 'uint': writeUVarint(w, v); break;
+      case 'f32': writeF32(w, v); break;
+      case 'f64': writeF64(w, v); break;
+      case 'num':
+        if (isSafeInt(v) && !Object.is(v, -0)) { writeU8(w, 0); writeVarint(w, v); } else { writeU8(w, 1); writeF64(w, v); }
+        break;
+      case 'bool': writeU8(w, v ? 1 : 0); break;
+      case 'str': writeStr(w, v); break;
+      default: writeAny(w, v);
+    }
+  }
+
+  function readTyped(r, type) {
+    if (Array.isArray(type)) {
+      const n = readUVarint(r);
+      const arr = new Array(n);
+      for (let i = 0; i < n; i++) arr[i] = readTyped(r, type[1]);
+      return arr;
+    }
+    if (typeof type === 'object') return readStruct(r, type.fields);
+    switch (type) {
+      case 'int': return readVarint(r);
+      case 'uint': return readUVarint(r);
+      case 'f32': return readF32(r);
+      case 'f64': return readF64(r);
+      case 'num': return readU8(r) === 0 ? readVarint(r) : readF64(r);
+      case 'bool': return readU8(r) !== 0;
+      case 'str': return readStr(r);
+      default: return readAny(r);
+    }
+  }
+
+  // --- Structs ---
+  const FIELD_ABSENT = 0, FIELD_PRESENT = 1, FIELD_NULL = 2;
+
+  function writeStruct(w, fields, obj, skipKey) {
+    const states = new Uint8Array(Math.ceil(fields.length / 4));
+    const known = new Set();
+    for (let i = 0; i < fields.length; i++) {
+      const [name, type] = fields[i];
+      known.add(name);
+      const v = obj[name];
+      let state = FIELD_ABSENT;
+      if (v === null) state = FIELD_NULL;
+      else if (v !== undefined && fitsType(type, v)) state = FIELD_PRESENT;
+      states[i >> 2] |= state << ((i & 3) * 2);
+    }
+    ensure(w, states.length);
+    w.buf.set(states, w.pos);
+    w.pos += states.length;
+    for (let i = 0; i < fields.length; i++) {
+      if (((states[i >> 2] >> ((i & 3) * 2)) & 3) === FIELD_PRESENT) writeTyped(w, fields[i][1], obj[fields[i][0]]);
+    }
+    // Extras: unknown keys plus known keys whose value did not fit the schema type.
+    const extras = [];
+    for (const k of Object.keys(obj)) {
+      if (k === skipKey || obj[k] === undefined) continue;
+      if (!known.has(k)) { extras.push(k); continue; }
+      const i = fields.findIndex(f => f[0] === k);
+      if (((states[i >> 2] >> ((i & 3) * 2)) & 3) === FIELD_ABSENT) extras.push(k);
+    }
+    writeUVarint(w, extras.length);
+    for (const k of extras) { writeStr(w, k); writeAny(w, obj[k]); }
+  }
+
+  function readStruct(r, fields) {
+    const stateBytes = Math.ceil(fields.length / 4);
+    if (r.pos + stateBytes > r.buf.length) throw new Error('protocol: unexpected end of frame');
+    const states = r.buf.subarray(r.pos, r.pos + stateBytes);
+    r.pos += stateBytes;
+    const obj = {};
+    for (let i = 0; i < fields.length; i++) {
+      const state = (states[i >> 2] >> ((i & 3) * 2)) & 3;
+      if (state === FIELD_PRESENT) obj[fields[i][0]] = readTyped(r, fields[i][1]);
+      else if (state === FIELD_NULL) obj[fields[i][0]] = null;
+    }
+    const extraCount = readUVarint(r);
+    for (let i = 0; i < extraCount; i++) { const k = readStr(r); obj[k] = readAny(r); }
+    return obj;
+  }
+
+  // --- Public API ---
+  function encodeBinary(msg) {
+    const w = createWriter();
+    writeU8(w, PROTOCOL_VERSION);
+    const schema = msg && schemaByType.get(msg.t);
+    if (!schema) {
+      writeUVarint(w, 0);
+      writeUVarint(w, 0);
+      writeAny(w, msg);
+    } else {
+      writeUVarint(w, schema.id);
+      writeUVarint(w, schema.v);
+      writeStruct(w, schema.fields, msg, 't');
+    }
+    return w.buf.slice(0, w.pos);
+  }
+
+  function decodeBinary(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const r = createReader(bytes);
+    const version = readU8(r);
+    if (version !== PROTOCOL_VERSION) throw new Error('protocol: unsupported version ' + version);
+    const typeId = readUVarint(r);
+    const schemaVersion = readUVarint(r);
+    if (typeId === 0) return readAny(r);
+    const schema = MESSAGE_SCHEMAS[typeId - 1];
+    if (!schema) throw new Error('protocol: unknown message type id ' + typeId);
+    if (schemaVersion !== schema.v) throw new Error(`protocol: ${schema.t} schema v${schemaVersion} not supported (have v${schema.v})`);
+    const body = readStruct(r, schema.fields);
+    return Object.assign({ t: schema.t }, body);
+  }
+
+  function encodeJson(msg) {
+    return JSON.stringify(msg);
+  }
+
+  function decodeJson(data) {
+    return JSON.parse(typeof data === 'string' ? data : textDecoder.decode(data instanceof Uint8Array ? data : new Uint8Array(data)));
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    BINARY_SUBPROTOCOL,
+    JSON_SUBPROTOCOL,
+    MESSAGE_SCHEMAS,
+    encodeBinary,
+    decodeBinary,
+    encodeJson,
+    decodeJson
+  };
+});
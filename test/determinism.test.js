@@ -0,0 +1,102 @@
+// A match is a function of its seed and its inputs: the same input script
+// played twice from the same seed ends in the same world.
+
+process.env.MOBORR_ACCOUNT_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const game = require('../server');
+
+const TICKS = 400;
+const TICK_MS = 50;
+const CLASSES = ['warrior', 'ranger', 'mage'];
+
+function buildMatch(tag) {
+  const players = new Map();
+  for (let i = 0; i < CLASSES.length; i++) {
+    const ws = { readyState: 1, binaryProtocol: false, send() {} };
+    const p = game.createPlayerRuntime(ws, { id: tag + i, class: CLASSES[i] });
+    const sp = i === 0 ? game.shopZone() : game.mobSpawnPoints[i];
+    p.x = sp.x; p.y = sp.y; p.gold = 1000;
+    players.set(p.id, p);
+  }
+  const world = game.createMatchWorld(tag, players, { seed: 42, time: 1e12 });
+  const match = {
+    id: tag, mode: 'ffa', players, world, state: 'in_game', createdAt: 1e12, startedAt: 1e12, durationMs: 1e7,
+    leaderboard: Array.from(players.values()).map(p => ({ playerId: p.id, playerName: p.name, kills: 0 }))
+  };
+  game.matches.set(tag, match);
+  return match;
+}
+
+// Ids come from process-wide counters, so the script and the comparison
+// refer to things by position and content instead.
+function nearestGroundItem(world, p) {
+  let best = null, bestD = Infinity;
+  for (const gi of world.groundItems.values()) {
+    const d = Math.hypot(gi.x - p.x, gi.y - p.y);
+    if (d < bestD) { best = gi; bestD = d; }
+  }
+  return best;
+}
+
+function playScript(match) {
+  const players = Array.from(match.players.values());
+  const shopper = players[0];
+  for (let t = 0; t < TICKS; t++) {
+    players.forEach((p, i) => {
+      const a = t * 0.05 + i * 0.7;
+      p.lastInput = p === shopper && t < 20 ? { x: 0, y: 0 } : { x: Math.cos(a), y: Math.sin(a) };
+      if (t % 40 === 5) p.pendingActions.push({ t: 'cast', slot: 1 + (t / 40 | 0) % 4, angle: a });
+      if (t % 20 === 7) {
+        const gi = nearestGroundItem(match.world, p);
+        if (gi) p.pendingActions.push({ t: 'pickup', id: gi.id });
+      }
+    });
+    if (t === 2) {
+      shopper.pendingActions.push({ t: 'shop_buy', stockId: 'swift_boots' });
+      shopper.pendingActions.push({ t: 'shop_buy', stockId: 'padded_vest' });
+      shopper.pendingActions.push({ t: 'shop_buy', stockId: 'speed_tonic' });
+    }
+    if (t === 4) {
+      for (const it of shopper.inventory) shopper.pendingActions.push({ t: 'equip', itemUid: it.uid });
+    }
+    game.tickMatchWorld(match, match.world.time + TICK_MS);
+  }
+}
+
+function itemState(it) {
+  return it && [it.itemId, it.rarity, it.stats];
+}
+
+function worldState(match) {
+  const world = match.world;
+  return {
+    tick: world.tick,
+    players: Array.from(match.players.values()).map(p => ({
+      x: p.x, y: p.y, hp: p.hp, gold: p.gold, xp: p.xp, level: p.level,
+      inventory: (p.inventory || []).map(itemState),
+      equipment: (p.equipment || []).map(itemState),
+      buffs: (p.buffs || []).map(b => [b.type, b.multiplier, b.until])
+    })),
+    mobs: Array.from(world.mobs.values()).map(m => [m.type, m.x, m.y, m.hp, m.state]),
+    groundItems: Array.from(world.groundItems.values()).map(gi => [gi.x, gi.y, itemState(gi.item)]),
+    nextRoll: world.rng()
+  };
+}
+
+test('same seed and inputs give the same world', () => {
+  const runs = ['det_a', 'det_b'].map(tag => {
+    const match = buildMatch(tag);
+    try {
+      playScript(match);
+      return worldState(match);
+    } finally {
+      game.destroyMatchWorld(match);
+      game.matches.delete(tag);
+    }
+  });
+  // The script must actually have bought and equipped something.
+  assert.ok(runs[0].players[0].equipment.some(Boolean));
+  assert.deepStrictEqual(runs[0], runs[1]);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFixedStepLoop } = require('../lib/fixed-step');
+
+test('a step that throws is not retried', () => {
+  let t = 0, calls = 0;
+  const loop = createFixedStepLoop({ stepMs: 10, clock: () => t, step: () => { if (++calls === 2) throw new Error('boom'); } });
+  t = 30;
+  assert.throws(() => loop.runDue(), /boom/);
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(loop.runDue(), 1);
+  assert.strictEqual(calls, 3);
+});
+
+test('the loop keeps running after a step throws', async () => {
+  const errors = [];
+  const onError = (err) => errors.push(err);
+  const listeners = process.listeners('uncaughtException');
+  process.removeAllListeners('uncaughtException');
+  process.on('uncaughtException', onError);
+  let calls = 0;
+  const loop = createFixedStepLoop({ stepMs: 5, step: () => { if (++calls === 2) throw new Error('boom'); } });
+  try {
+    loop.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+  } finally {
+    loop.stop();
+    process.removeListener('uncaughtException', onError);
+    for (const l of listeners) process.on('uncaughtException', l);
+  }
+  assert.strictEqual(errors.length, 1);
+  assert.ok(calls > 5, `only ${calls} steps ran`);
+});
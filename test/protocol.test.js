@@ -0,0 +1,83 @@
+// Round-trips every message type through both encodings.
+//
+// Samples are generated from the schemas themselves, so a newly appended
+// message type is covered without touching this file.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const protocol = require('../shared/protocol');
+
+// A value of `type` that survives the binary encoding exactly.
+function sampleOf(type) {
+  if (type === 'int') return -1234;
+  if (type === 'uint') return 4321;
+  if (type === 'f32') return 0.5;
+  if (type === 'f64') return 1.125;
+  if (type === 'num') return 2.5;
+  if (type === 'bool') return true;
+  if (type === 'str') return 'héllo';
+  if (type === 'any') return { a: [1, 'x', null, false], b: -3.5 };
+  if (Array.isArray(type)) return [sampleOf(type[1]), sampleOf(type[1])];
+  return sampleStruct(type.fields);
+}
+
+function sampleStruct(fields) {
+  const obj = {};
+  for (const [name, type] of fields) obj[name] = sampleOf(type);
+  return obj;
+}
+
+function sampleMessage(schema) {
+  return Object.assign({ t: schema.t }, sampleStruct(schema.fields));
+}
+
+for (const schema of protocol.MESSAGE_SCHEMAS) {
+  test(`${schema.t} round-trips`, () => {
+    const msg = sampleMessage(schema);
+    assert.deepStrictEqual(protocol.decodeBinary(protocol.encodeBinary(msg)), msg);
+    assert.deepStrictEqual(protocol.decodeJson(protocol.encodeJson(msg)), msg);
+    assert.deepStrictEqual(protocol.decodeJson(Buffer.from(protocol.encodeJson(msg))), msg);
+
+    // Absent and null fields stay absent and null.
+    const sparse = { t: schema.t };
+    if (schema.fields.length) sparse[schema.fields[0][0]] = null;
+    assert.deepStrictEqual(protocol.decodeBinary(protocol.encodeBinary(sparse)), sparse);
+  });
+}
+
+test('keys outside the schema and mistyped values are kept', () => {
+  const msg = { t: 'cast_rejected', reason: 'cooldown', slot: 'not a number', extra: { nested: [1, 2] } };
+  assert.deepStrictEqual(protocol.decodeBinary(protocol.encodeBinary(msg)), msg);
+});
+
+test('types without a schema go through as tagged values', () => {
+  const msg = { t: 'no_such_type', n: 5, list: ['a', null], f: 0.1 };
+  assert.deepStrictEqual(protocol.decodeBinary(protocol.encodeBinary(msg)), msg);
+});
+
+test('an unknown type id is rejected', () => {
+  const frame = Uint8Array.from([protocol.PROTOCOL_VERSION, 0x7f, 0x01]);
+  assert.throws(() => protocol.decodeBinary(frame), /unknown message type id 127/);
+});
+
+test('a schema version mismatch is rejected', () => {
+  // 'join' is type 1 and at v < 128, so its version is the third byte.
+  const frame = protocol.encodeBinary({ t: 'join', class: 'mage' });
+  frame[2] += 1;
+  assert.throws(() => protocol.decodeBinary(frame), /join schema v\d+ not supported/);
+});
+
+test('an unsupported protocol version is rejected', () => {
+  const frame = protocol.encodeBinary({ t: 'cancel_queue' });
+  frame[0] = protocol.PROTOCOL_VERSION + 1;
+  assert.throws(() => protocol.decodeBinary(frame), /unsupported version/);
+});
+
+test('truncated frames fail with a protocol error', () => {
+  for (const schema of protocol.MESSAGE_SCHEMAS) {
+    const frame = protocol.encodeBinary(sampleMessage(schema));
+    for (let len = 0; len < frame.length; len++) {
+      assert.throws(() => protocol.decodeBinary(frame.subarray(0, len)), /^Error: protocol: /, `${schema.t} cut at ${len}`);
+    }
+  }
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shop = require('../lib/shop');
+
+function buyer() {
+  return { hp: 100, maxHp: 200, gold: 1000, inventory: [], buffs: [] };
+}
+
+test('inherited keys are not stock', () => {
+  for (const stockId of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    const p = buyer();
+    assert.deepStrictEqual(shop.buyFromShop(p, stockId, 0), { reason: 'unknown_item' }, stockId);
+    assert.strictEqual(p.gold, 1000);
+  }
+});
+
+test('a purchase charges the price', () => {
+  const p = buyer();
+  const res = shop.buyFromShop(p, 'health_potion', 0);
+  assert.strictEqual(res.heal, 100);
+  assert.strictEqual(p.gold, 1000 - shop.SHOP_STOCK.health_potion.price);
+});